@@ -16,6 +16,10 @@ import {
   LLMCopyButton,
   ViewOptions,
 } from "@/components/page-actions";
+import { AllSources, UnifiedCitations } from "@/components/mdx/citations";
+import { SourcePolicyBanner } from "@/components/source-policy-banner";
+import { getPageCitationIndex } from "@/lib/page-citations";
+import { getPageSourceCompliance } from "@/lib/source-policy";
 import { readFile } from "node:fs/promises";
 import path from "node:path";
 
@@ -86,6 +90,18 @@ export default async function Page(props: PageProps<"/[[...slug]]">) {
 
   const MDX = page.data.body;
   const fragmentGithubUrls = await getFragmentGithubUrls(page.path);
+  const sourceCompliance = await getPageSourceCompliance(page.path);
+  const citationIndex =
+    page.data.citations === "unified"
+      ? await getPageCitationIndex(page.path)
+      : null;
+  const content = (
+    <MDX
+      components={getMDXComponents({
+        a: createRelativeLink(source, page),
+      })}
+    />
+  );
 
   return (
     <DocsPage
@@ -104,16 +120,25 @@ export default async function Page(props: PageProps<"/[[...slug]]">) {
           markdownUrl={`${page.url}.mdx`}
           githubUrl={getGithubUrl(page.path)}
           fragmentGithubUrls={fragmentGithubUrls}
+          referencesUrl={`/references/docs${page.url === "/" ? "" : page.url}`}
+          ankiUrl={`/anki.txt?${new URLSearchParams({ page: page.url })}`}
         />
         <ExpandAllButton />
         <CollapseAllButton />
       </div>
+      <SourcePolicyBanner
+        sourcePolicy={page.data.sourcePolicy}
+        compliance={sourceCompliance}
+      />
       <DocsBody>
-        <MDX
-          components={getMDXComponents({
-            a: createRelativeLink(source, page),
-          })}
-        />
+        {citationIndex ? (
+          <UnifiedCitations numbering={citationIndex.numbering}>
+            {content}
+            <AllSources items={citationIndex.sources} />
+          </UnifiedCitations>
+        ) : (
+          content
+        )}
       </DocsBody>
     </DocsPage>
   );
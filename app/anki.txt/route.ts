@@ -0,0 +1,54 @@
+import { getDocsFolderTitle } from "@/lib/docs-folders";
+import { getImportedMdxFilesForPage } from "@/lib/mdx-imports";
+import { source } from "@/lib/source";
+import { buildAnkiNotes, formatAnkiTsv } from "@/lib/anki-export";
+
+/**
+ * Anki text import file for `?page=/some/page`, `?specialty=general-surgery`
+ * or, without either, the whole site. See `scripts/export-anki.mjs`.
+ */
+export async function GET(request: Request) {
+  const url = new URL(request.url);
+  const pageParam = url.searchParams.get("page");
+  const pageUrl = pageParam === null ? undefined : pageParam.trim().replace(/\/+$/, "") || "/";
+  const specialty = url.searchParams.get("specialty")?.trim();
+
+  const pages = source.getPages().filter((page) => {
+    if (pageUrl) return page.url === pageUrl;
+    if (specialty) return page.slugs[0] === specialty;
+    return true;
+  });
+
+  if (pages.length === 0) {
+    return Response.json(
+      { error: pageUrl ? `No page found for ${pageUrl}` : `No pages found for specialty "${specialty}"` },
+      { status: 404 },
+    );
+  }
+
+  const specialties = Array.from(new Set(pages.map((page) => page.slugs[0] ?? "")));
+  const specialtyLabels = new Map(
+    await Promise.all(
+      specialties.map(async (value) => [value, await getDocsFolderTitle(value)] as const),
+    ),
+  );
+  const ankiPages = await Promise.all(
+    pages.map(async (page) => ({
+      url: page.url,
+      title: page.data.title,
+      specialtyLabel: specialtyLabels.get(page.slugs[0] ?? ""),
+      files: await getImportedMdxFilesForPage(page.path),
+    })),
+  );
+
+  const scope = (
+    pageUrl ? pageUrl.replace(/^\/+/, "").replace(/\//g, "-") || "index" : specialty || "all"
+  ).replace(/[^\w-]/g, "");
+
+  return new Response(formatAnkiTsv(buildAnkiNotes(ankiPages, { siteUrl: url.origin })), {
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Content-Disposition": `attachment; filename="mbbspedia-${scope}.txt"`,
+    },
+  });
+}
@@ -0,0 +1,64 @@
+import {
+  MAX_CHAT_FEEDBACK_BODY_BYTES,
+  parseChatFeedbackRequest,
+  recordChatFeedback,
+} from "@/lib/chat/feedback";
+
+export const runtime = "nodejs";
+
+/**
+ * Reads at most `maxBytes` of the body, so an oversized request is rejected
+ * before it is buffered or parsed. `null` when the body is larger.
+ */
+async function readBoundedText(req: Request, maxBytes: number): Promise<string | null> {
+  const declared = Number(req.headers.get("content-length"));
+  if (Number.isFinite(declared) && declared > maxBytes) return null;
+  if (!req.body) return "";
+
+  const reader = req.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/** Stores a reader's thumbs up or down, and what is wrong, for one chat answer. */
+export async function POST(req: Request): Promise<Response> {
+  const text = await readBoundedText(req, MAX_CHAT_FEEDBACK_BODY_BYTES);
+  if (text === null) {
+    return Response.json({ error: "Feedback is too large." }, { status: 413 });
+  }
+
+  let body: unknown;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return Response.json({ error: "Invalid JSON request body." }, { status: 400 });
+  }
+
+  const feedback = parseChatFeedbackRequest(body);
+  if (typeof feedback === "string") {
+    return Response.json({ error: feedback }, { status: 400 });
+  }
+
+  try {
+    await recordChatFeedback(feedback);
+  } catch (error) {
+    console.error("[chat-feedback] Failed to store feedback:", error);
+    return Response.json({ error: "Feedback could not be saved." }, { status: 500 });
+  }
+
+  return Response.json({ ok: true });
+}
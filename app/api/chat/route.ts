@@ -1,67 +1,63 @@
 import {
   convertToModelMessages,
+  createUIMessageStream,
+  createUIMessageStreamResponse,
   gateway,
   streamText,
   type UIMessage,
 } from "ai";
+import { createCitationRepairer } from "@/lib/chat/citation-repair";
 import {
-  asRecord,
-  clipText,
-  deriveSourceArticleName,
-  firstString,
-  getChunkPath,
-  type MixedbreadChunkLike,
-} from "@/lib/mixedbread/chunk-utils";
-import { getMixedbreadClient, getRequiredEnv } from "@/lib/mixedbread/client";
+  ANSWER_CONTEXT_PART,
+  CITATION_INTEGRITY_PART,
+  RETRIEVAL_QUERY_PART,
+} from "@/lib/chat/data-parts";
+import type { ChatAnswerContext } from "@/lib/chat/feedback";
+import { buildRetrievalQuery, type RetrievalQuery } from "@/lib/chat/query-rewrite";
+import { clipText, deriveSourceArticleName } from "@/lib/mixedbread/chunk-utils";
+import { getFragmentLabel, toFragmentDeepLink } from "@/lib/fragment-tabs";
 import {
   getFragmentToPageUrlMap,
+  getPageTitleForUrl,
   resolveChunkUrl,
 } from "@/lib/mixedbread/source-resolution";
+import { anonymizeSearchQuery, recordSearchEvent } from "@/lib/search/analytics";
+import { searchWithCache, type SearchProviderHit } from "@/lib/search/provider";
+import { normalize as normalizeUrl } from "@/lib/urls";
 
 export const runtime = "nodejs";
 
 const SEARCH_TOP_K = 12;
+// Page-scoped retrieval filters a wider global search down to one page.
+const PAGE_SCOPE_SEARCH_TOP_K = 50;
 const MAX_CHUNK_CHARS = 1000;
 const MAX_CONTEXT_CHUNKS = 10;
-const WEAK_RETRIEVAL_SCORE_THRESHOLD = 0.45;
+// Weak evidence: fewer chunks or characters than these, or, for providers
+// with calibrated scores, a best chunk below the score threshold. Local and
+// rag scores are relative to the query's best hit, so only the first two apply.
+const WEAK_RETRIEVAL_MIN_CHUNKS = 2;
 const WEAK_RETRIEVAL_CHAR_THRESHOLD = 280;
-
-const FRAGMENT_LABELS: Record<string, string> = {
-  etiology: "Etiology",
-  ddx: "DDx",
-  dx: "Dx",
-  mx: "Mx",
-  management: "Management",
-  complications: "Complications",
-  summary: "Summary",
-  "memory-palace": "Memory Palace",
-};
+const WEAK_RETRIEVAL_SCORE_THRESHOLD = 0.45;
 
 type PageContext = {
   pathname?: string;
   title?: string;
 };
 
+/** `page` limits retrieval to the current page and its fragments. */
+type RetrievalScope = "page" | "global";
+
 type ChatRequestBody = {
   messages?: UIMessage[];
   pageContext?: PageContext;
-};
-
-type MixedbreadScoredChunk = MixedbreadChunkLike & {
-  file_id: string;
-  chunk_index: number;
-  type?: string;
-  text?: string;
-  filename?: string;
-  score: number;
-  metadata?: unknown;
-  generated_metadata?: unknown;
+  scope?: RetrievalScope;
 };
 
 type CitationSource = {
   n: number;
   key: string;
   sourceName: string;
+  url?: string;
 };
 
 type RetrievedChunk = {
@@ -72,27 +68,6 @@ type RetrievedChunk = {
   text: string;
 };
 
-function getMessageText(message: UIMessage): string {
-  let output = "";
-  for (const part of message.parts ?? []) {
-    if (part.type === "text") {
-      output += part.text;
-    }
-  }
-  return output.trim();
-}
-
-function getLatestUserQuery(messages: UIMessage[]): string {
-  for (let i = messages.length - 1; i >= 0; i -= 1) {
-    const message = messages[i];
-    if (message.role !== "user") continue;
-    const text = getMessageText(message);
-    if (text.length > 0) return text;
-  }
-
-  return "";
-}
-
 function normalizePageContext(value: unknown): PageContext | undefined {
   if (!value || typeof value !== "object" || Array.isArray(value)) {
     return undefined;
@@ -115,42 +90,6 @@ function normalizePageContext(value: unknown): PageContext | undefined {
   return { pathname, title };
 }
 
-function deriveFragmentLabelFromPath(path?: string): string | undefined {
-  if (!path) return undefined;
-
-  const normalized = path.replace(/\\/g, "/");
-  const marker = "/content/fragments/";
-  const markerIndex = normalized.indexOf(marker);
-  if (markerIndex < 0) return undefined;
-
-  const relative = normalized.slice(markerIndex + marker.length);
-  const parts = relative.split("/").filter(Boolean);
-  const leaf = parts.at(-1)?.replace(/\.(md|mdx)$/i, "").toLowerCase();
-  if (!leaf) return undefined;
-
-  return FRAGMENT_LABELS[leaf] ?? leaf.charAt(0).toUpperCase() + leaf.slice(1);
-}
-
-function deriveHeadingHint(item: MixedbreadScoredChunk): string | undefined {
-  const generated = asRecord(item.generated_metadata);
-
-  const headingContext = generated.heading_context;
-  if (Array.isArray(headingContext) && headingContext.length > 0) {
-    const last = headingContext[headingContext.length - 1];
-    const label = firstString(asRecord(last).text);
-    if (label) return label.trim();
-  }
-
-  const chunkHeadings = generated.chunk_headings;
-  if (Array.isArray(chunkHeadings) && chunkHeadings.length > 0) {
-    const last = chunkHeadings[chunkHeadings.length - 1];
-    const label = firstString(asRecord(last).text);
-    if (label) return label.trim();
-  }
-
-  return undefined;
-}
-
 function formatCitationSourceName(params: {
   articleName: string;
   url?: string | null;
@@ -166,71 +105,68 @@ function formatCitationSourceName(params: {
   return `${article} (${section})`;
 }
 
-async function retrieveCitationContext(query: string): Promise<{
+function getPageUrl(pathname: string): string {
+  return normalizeUrl(pathname.split(/[?#]/)[0]);
+}
+
+/**
+ * True when the hit is shown on `pageUrl`, either as the page itself or as one
+ * of the fragments it imports.
+ */
+function isHitOnPage(
+  hit: SearchProviderHit,
+  pageUrl: string,
+  fragmentToPageUrl: Map<string, string>,
+): boolean {
+  const urls = [
+    hit.url,
+    resolveChunkUrl({ path: hit.path, fragmentToPageUrl }) ?? undefined,
+  ];
+  return urls.some((url) => url !== undefined && getPageUrl(url) === pageUrl);
+}
+
+function buildCitationContext(
+  hits: SearchProviderHit[],
+  calibratedScores: boolean,
+): {
   chunks: RetrievedChunk[];
   sources: CitationSource[];
   isWeak: boolean;
-}> {
-  const storeIdentifier = getRequiredEnv("MIXEDBREAD_STORE_IDENTIFIER");
-  const client = getMixedbreadClient();
-
-  const fragmentToPageUrlPromise = getFragmentToPageUrlMap();
-  const responsePromise = client.stores.search({
-    query,
-    store_identifiers: [storeIdentifier],
-    top_k: SEARCH_TOP_K,
-    search_options: { return_metadata: true, rerank: true },
-  });
-
-  const [fragmentToPageUrl, response] = await Promise.all([
-    fragmentToPageUrlPromise,
-    responsePromise,
-  ]);
-
-  const data = (response.data ?? []) as MixedbreadScoredChunk[];
+} {
   const sourceByKey = new Map<string, CitationSource>();
   const chunks: RetrievedChunk[] = [];
 
-  for (const item of data) {
-    if (item.type && item.type !== "text") continue;
-    const rawText = item.text?.trim();
+  for (const hit of hits) {
+    const rawText = hit.text?.trim();
     if (!rawText) continue;
 
-    const generated = asRecord(item.generated_metadata);
-    const metadata = asRecord(item.metadata);
-    const filePath = getChunkPath(item);
-    const sourceKey = filePath || item.filename || item.file_id;
+    const sourceKey = hit.path || hit.filename || hit.fileId;
 
     let source = sourceByKey.get(sourceKey);
     if (!source) {
-      const directUrl = firstString(generated.url, metadata.url);
-      const url = resolveChunkUrl({
-        path: filePath,
-        directUrl,
-        fragmentToPageUrl,
-      });
-
       source = {
         n: sourceByKey.size + 1,
         key: sourceKey,
+        url: hit.url,
         sourceName: formatCitationSourceName({
           articleName: deriveSourceArticleName({
-            path: filePath,
-            filename: item.filename,
+            path: hit.path,
+            filename: hit.filename,
           }),
-          url,
-          fragmentLabel: deriveFragmentLabelFromPath(filePath),
-          headingHint: deriveHeadingHint(item),
+          // Open the fragment's tab rather than the page's first tab.
+          url: hit.url ? toFragmentDeepLink(hit.url, hit.path) : hit.url,
+          fragmentLabel: getFragmentLabel(hit.path),
+          headingHint: hit.heading,
         }),
       };
       sourceByKey.set(sourceKey, source);
     }
 
     chunks.push({
-      chunkId: `${item.file_id}:${item.chunk_index}`,
+      chunkId: `${hit.fileId}:${hit.chunkIndex}`,
       citationNumber: source.n,
       sourceName: source.sourceName,
-      score: Number.isFinite(item.score) ? item.score : 0,
+      score: hit.score,
       text: rawText,
     });
   }
@@ -240,9 +176,9 @@ async function retrieveCitationContext(query: string): Promise<{
   const totalChars = trimmedChunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
   const topScore = trimmedChunks[0]?.score ?? 0;
   const isWeak =
-    trimmedChunks.length === 0 ||
-    topScore < WEAK_RETRIEVAL_SCORE_THRESHOLD ||
-    totalChars < WEAK_RETRIEVAL_CHAR_THRESHOLD;
+    trimmedChunks.length < WEAK_RETRIEVAL_MIN_CHUNKS ||
+    totalChars < WEAK_RETRIEVAL_CHAR_THRESHOLD ||
+    (calibratedScores && topScore < WEAK_RETRIEVAL_SCORE_THRESHOLD);
 
   return {
     chunks: trimmedChunks,
@@ -251,6 +187,53 @@ async function retrieveCitationContext(query: string): Promise<{
   };
 }
 
+/**
+ * Retrieves evidence for the query. With a `pageUrl`, only chunks from that
+ * page and its fragments are used, unless they are weak evidence; then the
+ * whole site is used and `scope` says so.
+ */
+async function retrieveCitationContext(
+  query: string,
+  pageUrl?: string,
+): Promise<{
+  provider: string;
+  scope: RetrievalScope;
+  chunks: RetrievedChunk[];
+  sources: CitationSource[];
+  isWeak: boolean;
+}> {
+  const { provider, calibratedScores, hits, cached } = await searchWithCache("chat", query, {
+    topK: pageUrl ? PAGE_SCOPE_SEARCH_TOP_K : SEARCH_TOP_K,
+    rerank: true,
+  });
+  const providerName = cached ? "cache" : provider;
+
+  if (pageUrl) {
+    const fragmentToPageUrl = await getFragmentToPageUrlMap();
+    const pageContext = buildCitationContext(
+      hits.filter((hit) => isHitOnPage(hit, pageUrl, fragmentToPageUrl)),
+      calibratedScores,
+    );
+    if (!pageContext.isWeak) {
+      return { provider: providerName, scope: "page", ...pageContext };
+    }
+  }
+
+  return {
+    provider: providerName,
+    scope: "global",
+    ...buildCitationContext(hits.slice(0, SEARCH_TOP_K), calibratedScores),
+  };
+}
+
+/** Opening line of an answer to a page-scoped question, naming the scope used. */
+function describeRetrievalScope(scope: RetrievalScope, pageUrl: string): string {
+  const title = getPageTitleForUrl(pageUrl) ?? pageUrl;
+  return scope === "page"
+    ? `_Answered from this page (${title})._\n\n`
+    : `_This page (${title}) had too little on this question, so the answer draws on the whole site._\n\n`;
+}
+
 function buildCitationMapBlock(sources: CitationSource[]): string {
   if (sources.length === 0) {
     return "(none)";
@@ -274,11 +257,13 @@ function buildChunkContextBlock(chunks: RetrievedChunk[]): string {
 
 function buildSystemPrompt({
   pageContext,
+  scope,
   sources,
   chunks,
   isWeak,
 }: {
   pageContext?: PageContext;
+  scope: RetrievalScope;
   sources: CitationSource[];
   chunks: RetrievedChunk[];
   isWeak: boolean;
@@ -314,6 +299,7 @@ function buildSystemPrompt({
     pageHint || "(none)",
     "",
     `Retrieval status: ${retrievalStatus}`,
+    `Retrieval scope: ${scope === "page" ? "CURRENT_PAGE" : "WHOLE_SITE"}`,
     "",
     "Citation map:",
     buildCitationMapBlock(sources),
@@ -323,98 +309,80 @@ function buildSystemPrompt({
   ].join("\n");
 }
 
-function extractAssistantText(message: UIMessage): string {
-  return message.parts
-    .filter((part): part is Extract<UIMessage["parts"][number], { type: "text" }> => part.type === "text")
-    .map((part) => part.text)
-    .join("");
-}
-
-function parseReferencesBlock(answerText: string): Map<number, string> {
-  const references = new Map<number, string>();
-  const headingMatch = answerText.match(/^##\s+References\s*$/im);
-  if (!headingMatch || headingMatch.index === undefined) {
-    return references;
-  }
-
-  const start = answerText.slice(headingMatch.index + headingMatch[0].length);
-  const untilNextHeading = start.split(/\n##\s+/)[0];
-
-  for (const rawLine of untilNextHeading.split(/\r?\n/)) {
-    const line = rawLine.trim();
-    if (!line) continue;
-    const match = line.match(/^\[(\d+)\]\s+(.+)$/);
-    if (!match) continue;
-    const n = Number.parseInt(match[1], 10);
-    if (!Number.isFinite(n) || n < 1) continue;
-    references.set(n, match[2].trim());
-  }
-
-  return references;
-}
-
-function validateCitationIntegrity(params: {
-  answerText: string;
+/**
+ * Streams the answer through the citation repair pass and ends it with a
+ * `citation-integrity` data part. Issues are also logged for review. A
+ * `preamble`, such as the retrieval scope, is shown before the answer. The
+ * retrieval query is sent as a `retrieval-query` data part for debugging, and
+ * the chunks and citation map as an `answer-context` part for feedback.
+ */
+function streamRepairedAnswer(params: {
+  result: ReturnType<typeof streamText>;
+  messages: UIMessage[];
   sources: CitationSource[];
   isWeak: boolean;
-}): void {
-  const sourceByNumber = new Map(params.sources.map((source) => [source.n, source.sourceName]));
-  const referencesHeading = params.answerText.match(/^##\s+References\s*$/im);
-  const answerBody =
-    referencesHeading && referencesHeading.index !== undefined
-      ? params.answerText.slice(0, referencesHeading.index)
-      : params.answerText;
-  const citationMatches = Array.from(answerBody.matchAll(/\[(\d+)\]/g));
-  const inlineNumbers = Array.from(
-    new Set(
-      citationMatches
-        .map((match) => Number.parseInt(match[1], 10))
-        .filter((n) => Number.isFinite(n) && n > 0),
-    ),
-  ).sort((a, b) => a - b);
-  const references = parseReferencesBlock(params.answerText);
-  const issues: string[] = [];
-
-  for (const n of inlineNumbers) {
-    if (!sourceByNumber.has(n)) {
-      issues.push(`inline citation [${n}] is not in citation map`);
-    }
-  }
-
-  if (inlineNumbers.length > 0 && references.size === 0) {
-    issues.push("inline citations are present but references block is missing");
-  }
-
-  if (inlineNumbers.length === 0 && references.size > 0) {
-    issues.push("references block is present without inline citations");
-  }
-
-  for (const [n, label] of references.entries()) {
-    const expected = sourceByNumber.get(n);
-    if (!expected) {
-      issues.push(`reference [${n}] is not in citation map`);
-      continue;
-    }
-    if (expected.toLowerCase() !== label.toLowerCase()) {
-      issues.push(`reference [${n}] label mismatch (expected '${expected}', got '${label}')`);
-    }
-  }
-
-  if (!params.isWeak && params.sources.length > 0 && inlineNumbers.length === 0) {
-    issues.push("strong retrieval context provided but no inline citations were emitted");
-  }
+  retrievalQuery: RetrievalQuery;
+  answerContext: ChatAnswerContext;
+  preamble?: string;
+}): Response {
+  const repairer = createCitationRepairer({ sources: params.sources, isWeak: params.isWeak });
+
+  const stream = createUIMessageStream({
+    originalMessages: params.messages,
+    execute: async ({ writer }) => {
+      for await (const chunk of params.result.toUIMessageStream()) {
+        if (chunk.type === "start") {
+          writer.write(chunk);
+          writer.write({ type: `data-${RETRIEVAL_QUERY_PART}`, data: params.retrievalQuery });
+          writer.write({ type: `data-${ANSWER_CONTEXT_PART}`, data: params.answerContext });
+          if (params.preamble) {
+            writer.write({ type: "text-start", id: "preamble" });
+            writer.write({ type: "text-delta", id: "preamble", delta: params.preamble });
+            writer.write({ type: "text-end", id: "preamble" });
+          }
+          continue;
+        }
+
+        if (chunk.type === "text-delta") {
+          const delta = repairer.push(chunk.delta);
+          if (delta) writer.write({ ...chunk, delta });
+          continue;
+        }
+
+        if (chunk.type === "text-end") {
+          const delta = repairer.flush();
+          if (delta) writer.write({ type: "text-delta", id: chunk.id, delta });
+          writer.write(chunk);
+          continue;
+        }
+
+        if (chunk.type === "finish") {
+          const references = repairer.buildReferences();
+          if (references) {
+            writer.write({ type: "text-start", id: "references" });
+            writer.write({ type: "text-delta", id: "references", delta: references });
+            writer.write({ type: "text-end", id: "references" });
+          }
+
+          const report = repairer.report();
+          writer.write({ type: `data-${CITATION_INTEGRITY_PART}`, data: report });
+          if (report.issues.length > 0) {
+            console.warn(
+              "[chat-citation-validation]",
+              JSON.stringify({
+                ...report,
+                citationMap: params.sources.map((source) => [source.n, source.sourceName]),
+              }),
+            );
+          }
+        }
+
+        writer.write(chunk);
+      }
+    },
+  });
 
-  if (issues.length > 0) {
-    console.warn(
-      "[chat-citation-validation]",
-      JSON.stringify({
-        issues,
-        inlineNumbers,
-        references: Array.from(references.entries()),
-        citationMap: Array.from(sourceByNumber.entries()),
-      }),
-    );
-  }
+  return createUIMessageStreamResponse({ stream });
 }
 
 export async function POST(req: Request) {
@@ -430,25 +398,51 @@ export async function POST(req: Request) {
     return Response.json({ error: "messages are required." }, { status: 400 });
   }
 
-  const userQuery = getLatestUserQuery(messages);
   const pageContext = normalizePageContext(body.pageContext);
+  const currentPageUrl = pageContext?.pathname ? getPageUrl(pageContext.pathname) : undefined;
+  const pageUrl = body.scope === "page" ? currentPageUrl : undefined;
 
-  let retrieval: { chunks: RetrievedChunk[]; sources: CitationSource[]; isWeak: boolean } = {
+  const retrievalQuery = await buildRetrievalQuery({ messages, pageUrl: currentPageUrl });
+  if (retrievalQuery.query !== retrievalQuery.original) {
+    console.info(
+      "[chat-query-rewrite]",
+      JSON.stringify({
+        ...retrievalQuery,
+        original: anonymizeSearchQuery(retrievalQuery.original),
+        query: anonymizeSearchQuery(retrievalQuery.query),
+      }),
+    );
+  }
+
+  let retrieval: Awaited<ReturnType<typeof retrieveCitationContext>> = {
+    provider: "none",
+    scope: "global",
     chunks: [],
     sources: [],
     isWeak: true,
   };
 
-  if (userQuery) {
+  if (retrievalQuery.query) {
+    const startedAt = Date.now();
     try {
-      retrieval = await retrieveCitationContext(userQuery);
+      retrieval = await retrieveCitationContext(retrievalQuery.query, pageUrl);
     } catch (error) {
       console.error("[chat-retrieval-failed]", error);
     }
+
+    recordSearchEvent({
+      kind: "chat",
+      query: retrievalQuery.query,
+      resultCount: retrieval.sources.length,
+      topUrl: retrieval.sources[0]?.url ?? null,
+      latencyMs: Date.now() - startedAt,
+      provider: retrieval.provider,
+    });
   }
 
   const systemPrompt = buildSystemPrompt({
     pageContext,
+    scope: retrieval.scope,
     sources: retrieval.sources,
     chunks: retrieval.chunks,
     isWeak: retrieval.isWeak,
@@ -460,15 +454,16 @@ export async function POST(req: Request) {
     messages: await convertToModelMessages(messages),
   });
 
-  return result.toUIMessageStreamResponse({
-    originalMessages: messages,
-    onFinish: ({ responseMessage }) => {
-      const assistantText = extractAssistantText(responseMessage);
-      validateCitationIntegrity({
-        answerText: assistantText,
-        sources: retrieval.sources,
-        isWeak: retrieval.isWeak,
-      });
+  return streamRepairedAnswer({
+    result,
+    messages,
+    sources: retrieval.sources,
+    isWeak: retrieval.isWeak,
+    retrievalQuery,
+    answerContext: {
+      chunkIds: retrieval.chunks.map((chunk) => chunk.chunkId),
+      citationMap: retrieval.sources.map((source) => ({ n: source.n, sourceName: source.sourceName })),
     },
+    preamble: pageUrl ? describeRetrievalScope(retrieval.scope, pageUrl) : undefined,
   });
 }
@@ -0,0 +1,10 @@
+import { getSearchCacheStats } from "@/lib/search/cache";
+
+export const runtime = "nodejs";
+
+/** Hit and miss counters of the search cache on the instance that answers. */
+export async function GET(): Promise<Response> {
+  return Response.json(getSearchCacheStats(), {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
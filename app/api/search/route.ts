@@ -1,253 +1,220 @@
+import { humanizeFilename } from "@/lib/mixedbread/chunk-utils";
+import { getFragmentLabel, toFragmentDeepLink } from "@/lib/fragment-tabs";
+import { getPageTitleForUrl } from "@/lib/mixedbread/source-resolution";
+import { recordSearchEvent } from "@/lib/search/analytics";
+import { countSearchFacets } from "@/lib/search/facet-counts";
 import {
-  asRecord,
-  firstString,
-  humanizeFilename,
-} from "@/lib/mixedbread/chunk-utils";
-import { getMixedbreadClient } from "@/lib/mixedbread/client";
+  getSearchFacetValues,
+  hasSearchFacetFilters,
+  matchesSearchFacets,
+  parseSearchFacetFilters,
+  type SearchFacetCounts,
+  type SearchFacetFilters,
+} from "@/lib/search/facets";
+import { searchWithCache, type SearchProviderHit } from "@/lib/search/provider";
 import {
-  getFragmentToPageUrlMap,
-  getPageTitleForUrl,
-  resolveChunkUrl,
-} from "@/lib/mixedbread/source-resolution";
-import type { SortedResult } from "fumadocs-core/search/server";
+  buildSnippet,
+  findMatchRanges,
+  getQueryTerms,
+  type SearchResultWithMatches,
+  type TextRange,
+} from "@/lib/search/snippet";
+import { extractHeadingTitle, stripMarkdown, toHeadingId } from "@/lib/search/text";
 
 export const runtime = "nodejs";
 
 const SEARCH_TOP_K = 16;
-const SEARCH_CACHE_TTL_MS = 30_000;
-const SEARCH_CACHE_MAX_ENTRIES = 200;
-
-interface MixedbreadChunk {
-  file_id: string;
-  chunk_index: number;
-  type?: string;
-  text?: string;
-  filename?: string;
-  generated_metadata?: unknown;
-  metadata?: unknown;
-}
-
-type CachedSearchResult = {
-  expiresAt: number;
-  data: SortedResult[];
-};
-
-const searchCache = new Map<string, CachedSearchResult>();
-
-function getCacheKey(query: string, tag: string | undefined): string {
-  return `${tag ?? ""}\u0000${query.toLowerCase()}`;
-}
-
-function readCachedSearch(key: string): SortedResult[] | null {
-  const cached = searchCache.get(key);
-  if (!cached) return null;
-  if (cached.expiresAt < Date.now()) {
-    searchCache.delete(key);
-    return null;
-  }
-  return cached.data;
-}
-
-function writeCachedSearch(key: string, data: SortedResult[]): void {
-  searchCache.set(key, {
-    expiresAt: Date.now() + SEARCH_CACHE_TTL_MS,
-    data,
-  });
-
-  while (searchCache.size > SEARCH_CACHE_MAX_ENTRIES) {
-    const oldest = searchCache.keys().next();
-    if (oldest.done) break;
-    searchCache.delete(oldest.value);
-  }
-}
-
-function toHeadingId(value: string): string {
-  return value
-    .trim()
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, "-");
-}
-
-function extractHeadingTitle(text?: string): string {
-  if (!text) return "";
-  const firstLine = text.trim().split("\n")[0]?.trim();
-  if (!firstLine || !firstLine.startsWith("#")) return "";
-
-  return firstLine.replace(/^#+\s*/, "").trim();
-}
-
-function stripMarkdown(text: string): string {
-  return text
-    .replace(/^---[\s\S]*?---\s*/m, " ")
-    .replace(/^\s*import\s+.+$/gm, " ")
-    .replace(/^\s*---+\s*$/gm, " ")
-    .replace(/```[\s\S]*?```/g, " ")
-    .replace(/`[^`]*`/g, " ")
-    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
-    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
-    .replace(/^#+\s*/gm, "")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/[>*_~]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function snippetFromText(text?: string, heading?: string): string {
-  if (!text) return "";
+const SEARCH_FACET_CANDIDATES = 64;
+const EMPTY_FACET_COUNTS: SearchFacetCounts = { specialty: [], subgroup: [], tab: [] };
+
+/** A provider hit that maps to a page. */
+type SearchCandidate = SearchProviderHit & { url: string };
+
+/**
+ * Plain result list for fumadocs clients; `facets=1` wraps it with facet
+ * counts for the filter chips in the search dialog. `matches` holds the
+ * ranges of each result's `content` that matched the query.
+ */
+type SearchResponse =
+  | SearchResultWithMatches[]
+  | { results: SearchResultWithMatches[]; facets: SearchFacetCounts };
+
+function snippetFromText(
+  terms: string[],
+  text?: string,
+  heading?: string,
+): { content: string; matches: TextRange[] } | null {
+  if (!text) return null;
   const cleaned = stripMarkdown(text);
-  if (!cleaned) return "";
+  if (!cleaned) return null;
 
   const withoutHeading =
     heading && cleaned.startsWith(heading)
       ? cleaned.slice(heading.length).trim()
       : cleaned;
+  if (!withoutHeading) return null;
 
-  if (withoutHeading.length <= 240) return withoutHeading;
-  return `${withoutHeading.slice(0, 240).trimEnd()}...`;
+  return buildSnippet(withoutHeading, terms);
 }
 
+/**
+ * One entry per page in rank order, each followed by its heading and text
+ * hits. Sub-hits are labelled with their fragment tab (Dx, Mx...) through
+ * `breadcrumbs`; the dialog caps how many it shows per page.
+ */
 function toResults(
-  chunks: MixedbreadChunk[],
-  fragmentToPageUrl: Map<string, string>,
-): SortedResult[] {
-  const results: SortedResult[] = [];
+  candidates: SearchCandidate[],
+  terms: string[],
+): SearchResultWithMatches[] {
+  const groups = new Map<string, SearchResultWithMatches[]>();
   const seen = new Set<string>();
-  const seenPages = new Set<string>();
-
-  for (const item of chunks) {
-    const generated = asRecord(item.generated_metadata);
-    const metadata = asRecord(item.metadata);
-    const generatedFrontmatter = asRecord(generated.frontmatter);
-    const metadataFrontmatter = asRecord(metadata.frontmatter);
-
-    const path = firstString(
-      metadata.file_path,
-      generated.path,
-      metadata.path,
-      item.filename,
-    );
-    const directUrl = firstString(generated.url, metadata.url);
-    const url = resolveChunkUrl({
-      path,
-      directUrl,
-      fragmentToPageUrl,
-    });
-    if (!url) continue;
-
-    const title =
-      getPageTitleForUrl(url) ??
-      firstString(
-        generated.title,
-        metadata.title,
-        generatedFrontmatter.title,
-        metadataFrontmatter.title,
-      ) ??
-      humanizeFilename(path);
-
-    if (!seenPages.has(url)) {
-      seenPages.add(url);
-      results.push({
-        id: `page:${url}`,
-        type: "page",
-        content: title,
-        url,
-      });
+
+  for (const hit of candidates) {
+    const { url, path } = hit;
+    let group = groups.get(url);
+    if (!group) {
+      const title = getPageTitleForUrl(url) ?? hit.title ?? humanizeFilename(path);
+      group = [
+        {
+          id: `page:${url}`,
+          type: "page",
+          content: title,
+          matches: findMatchRanges(title, terms),
+          url,
+        },
+      ];
+      groups.set(url, group);
     }
 
-    if (item.type === "text" && item.text) {
-      const heading = extractHeadingTitle(item.text);
-      if (heading) {
-        const headingId = `${item.file_id}-${item.chunk_index}-heading`;
-        if (!seen.has(headingId)) {
-          seen.add(headingId);
-          results.push({
-            id: headingId,
-            type: "heading",
-            content: heading,
-            url: `${url}#${toHeadingId(heading)}`,
-          });
-        }
+    if (!hit.text) continue;
+    const tabLabel = getFragmentLabel(path);
+    const breadcrumbs = tabLabel ? { breadcrumbs: [tabLabel] } : {};
+
+    const heading = extractHeadingTitle(hit.text);
+    if (heading) {
+      const headingId = `${hit.fileId}-${hit.chunkIndex}-heading`;
+      if (!seen.has(headingId)) {
+        seen.add(headingId);
+        group.push({
+          id: headingId,
+          type: "heading",
+          content: heading,
+          matches: findMatchRanges(heading, terms),
+          url: toFragmentDeepLink(url, path, toHeadingId(heading)),
+          ...breadcrumbs,
+        });
       }
+    }
 
-      const snippet = snippetFromText(item.text, heading);
-      if (snippet) {
-        const textId = `${item.file_id}-${item.chunk_index}-text`;
-        if (!seen.has(textId)) {
-          seen.add(textId);
-          results.push({
-            id: textId,
-            type: "text",
-            content: snippet,
-            url,
-          });
-        }
+    const snippet = snippetFromText(terms, hit.text, heading);
+    if (snippet) {
+      const textId = `${hit.fileId}-${hit.chunkIndex}-text`;
+      if (!seen.has(textId)) {
+        seen.add(textId);
+        group.push({
+          id: textId,
+          type: "text",
+          content: snippet.content,
+          matches: snippet.matches,
+          url: toFragmentDeepLink(url, path),
+          ...(heading ? {} : breadcrumbs),
+        });
       }
     }
   }
 
-  return results;
+  return Array.from(groups.values()).flat();
+}
+
+async function searchCandidates(
+  query: string,
+  tag: string | undefined,
+  topK: number,
+): Promise<{ provider: string; candidates: SearchCandidate[] }> {
+  const { provider, hits, cached } = await searchWithCache("search", query, { topK, tag });
+  // Chunks that map to no page, e.g. from the rag provider, cannot be linked.
+  const candidates = hits.filter((hit): hit is SearchCandidate => Boolean(hit.url));
+  return { provider: cached ? "cache" : provider, candidates };
+}
+
+function recordSearch(
+  query: string,
+  filters: SearchFacetFilters,
+  data: SearchResponse,
+  startedAt: number,
+  provider: string,
+): void {
+  // Facet chips re-run a query that was already recorded unfiltered.
+  if (hasSearchFacetFilters(filters)) return;
+
+  const results = Array.isArray(data) ? data : data.results;
+  const pages = results.filter((result) => result.type === "page");
+
+  recordSearchEvent({
+    kind: "search",
+    query,
+    resultCount: pages.length,
+    topUrl: pages[0]?.url ?? null,
+    latencyMs: Date.now() - startedAt,
+    provider,
+  });
+}
+
+/**
+ * Filters candidates by the selected facets and, when asked, counts facet
+ * values over the unfiltered candidates so the UI can show chip totals.
+ */
+async function toSearchResponse(
+  query: string,
+  candidates: SearchCandidate[],
+  filters: SearchFacetFilters,
+  withFacets: boolean,
+): Promise<SearchResponse> {
+  const facetValues = candidates.map((candidate) =>
+    getSearchFacetValues(candidate.url, candidate.path),
+  );
+  const results = toResults(
+    candidates
+      .filter((_, index) => matchesSearchFacets(facetValues[index], filters))
+      .slice(0, SEARCH_TOP_K),
+    getQueryTerms(query),
+  );
+
+  if (!withFacets) return results;
+  const facetHits = candidates.map((candidate, index) => ({
+    url: candidate.url,
+    values: facetValues[index],
+  }));
+  return { results, facets: await countSearchFacets(facetHits, filters) };
 }
 
 export async function GET(request: Request): Promise<Response> {
+  const startedAt = Date.now();
   const url = new URL(request.url);
   const query = url.searchParams.get("query")?.trim();
-  if (!query) return Response.json([]);
+  const withFacets = url.searchParams.get("facets") === "1";
+  if (!query) {
+    return Response.json(withFacets ? { results: [], facets: EMPTY_FACET_COUNTS } : []);
+  }
 
   const tag = url.searchParams
     .get("tag")
     ?.split(",")
     .map((value) => value.trim())
     .filter(Boolean)[0];
+  const filters = parseSearchFacetFilters(url.searchParams);
 
-  const cacheKey = getCacheKey(query, tag);
-  const cached = readCachedSearch(cacheKey);
-  if (cached) {
-    return Response.json(cached);
-  }
-
-  const storeIdentifier = process.env.MIXEDBREAD_STORE_IDENTIFIER;
-  if (!storeIdentifier) {
-    return new Response(
-      "Missing required environment variable: MIXEDBREAD_STORE_IDENTIFIER",
-      { status: 500 },
-    );
-  }
+  // Facet counts and filters need a wider candidate pool than one page of hits.
+  const topK =
+    withFacets || hasSearchFacetFilters(filters) ? SEARCH_FACET_CANDIDATES : SEARCH_TOP_K;
 
   try {
-    const client = getMixedbreadClient();
-
-    // Start both expensive operations immediately to avoid waterfall latency.
-    const fragmentToPageUrlPromise = getFragmentToPageUrlMap();
-    const responsePromise = client.stores.search({
-      query,
-      store_identifiers: [storeIdentifier],
-      top_k: SEARCH_TOP_K,
-      search_options: { return_metadata: true },
-      ...(tag
-        ? {
-            filters: {
-              key: "generated_metadata.tag",
-              operator: "eq",
-              value: tag,
-            },
-          }
-        : {}),
-    });
-
-    const [fragmentToPageUrl, response] = await Promise.all([
-      fragmentToPageUrlPromise,
-      responsePromise,
-    ]);
-
-    const results = toResults(
-      response.data as MixedbreadChunk[],
-      fragmentToPageUrl,
-    );
-    writeCachedSearch(cacheKey, results);
-    return Response.json(results);
+    const { provider, candidates } = await searchCandidates(query, tag, topK);
+    const data = await toSearchResponse(query, candidates, filters, withFacets);
+    recordSearch(query, filters, data, startedAt, provider);
+    return Response.json(data);
   } catch (error) {
-    console.error("Mixedbread search failed:", error);
-    return new Response("Failed to search Mixedbread store", { status: 502 });
+    console.error("Search failed:", error);
+    return new Response("Failed to search", { status: 502 });
   }
 }
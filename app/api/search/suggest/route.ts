@@ -0,0 +1,24 @@
+import { suggestSearchTitles } from "@/lib/search/suggest";
+
+export const runtime = "nodejs";
+
+const DEFAULT_SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+export async function GET(request: Request): Promise<Response> {
+  const url = new URL(request.url);
+  const query = url.searchParams.get("query")?.trim();
+  if (!query) return Response.json([]);
+
+  const requested = Number.parseInt(url.searchParams.get("limit") ?? "", 10);
+  const limit = Number.isFinite(requested)
+    ? Math.min(Math.max(requested, 1), MAX_SUGGESTION_LIMIT)
+    : DEFAULT_SUGGESTION_LIMIT;
+
+  try {
+    return Response.json(await suggestSearchTitles(query, limit));
+  } catch (error) {
+    console.error("Search suggestions failed:", error);
+    return new Response("Failed to suggest", { status: 500 });
+  }
+}
@@ -0,0 +1,49 @@
+import {
+  CITATION_EXPORT_DESCRIPTORS,
+  formatCitationExport,
+  toCitationExportFormat,
+} from "@/lib/citation-export";
+import { getPageCitationIndex } from "@/lib/page-citations";
+import { source } from "@/lib/source";
+import { notFound } from "next/navigation";
+
+export const revalidate = false;
+
+export async function GET(
+  request: Request,
+  { params }: RouteContext<"/references/docs/[[...slug]]">,
+) {
+  const { slug } = await params;
+  const page = source.getPage(slug);
+  if (!page) notFound();
+
+  const url = new URL(request.url);
+  const requestedFormat = url.searchParams.get("format") ?? "bibtex";
+  const format = toCitationExportFormat(requestedFormat);
+  if (!format) {
+    return Response.json(
+      { error: `Unsupported format "${requestedFormat}". Use bibtex, ris or csl-json.` },
+      { status: 400 },
+    );
+  }
+
+  const { sources } = await getPageCitationIndex(page.path);
+  const pageKey = (slug ?? []).join("-");
+  const { contentType, extension } = CITATION_EXPORT_DESCRIPTORS[format];
+  const body = formatCitationExport(format, sources, {
+    pageKey,
+    pageTitle: page.data.title,
+    pageUrl: new URL(page.url, url.origin).toString(),
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${pageKey || "index"}-references.${extension}"`,
+    },
+  });
+}
+
+export function generateStaticParams() {
+  return source.generateParams();
+}
@@ -0,0 +1,7 @@
+import { getAllReviewItems } from "@/lib/active-recall-items";
+
+export const revalidate = false;
+
+export async function GET() {
+  return Response.json(await getAllReviewItems());
+}
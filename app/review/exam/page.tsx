@@ -0,0 +1,57 @@
+import {
+  DocsBody,
+  DocsDescription,
+  DocsPage,
+  DocsTitle,
+} from "fumadocs-ui/layouts/notebook/page";
+import type { Metadata } from "next";
+import { ExamSession, type ExamScopeOption } from "@/components/exam-session";
+import { getAllReviewItems } from "@/lib/active-recall-items";
+import { getDocsFolderTitle } from "@/lib/docs-folders";
+
+export default async function ExamPage() {
+  const items = await getAllReviewItems();
+
+  const specialtyCounts = new Map<string, number>();
+  const topicsByUrl = new Map<string, ExamScopeOption>();
+  for (const item of items) {
+    specialtyCounts.set(item.specialty, (specialtyCounts.get(item.specialty) ?? 0) + 1);
+
+    const topic = topicsByUrl.get(item.pageUrl) ?? {
+      value: item.pageUrl,
+      label: item.pageTitle,
+      count: 0,
+    };
+    topic.count += 1;
+    topicsByUrl.set(item.pageUrl, topic);
+  }
+
+  const specialties: ExamScopeOption[] = await Promise.all(
+    Array.from(specialtyCounts.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(async ([value, count]) => ({
+        value,
+        label: await getDocsFolderTitle(value),
+        count,
+      })),
+  );
+  const topics = Array.from(topicsByUrl.values()).sort((a, b) => a.label.localeCompare(b.label));
+
+  return (
+    <DocsPage>
+      <DocsTitle>Timed exam</DocsTitle>
+      <DocsDescription>
+        A simulated viva: random active recall questions against the clock, then
+        self-marking against the markscheme with a per-section report.
+      </DocsDescription>
+      <DocsBody>
+        <ExamSession itemsUrl="/review-items.json" specialties={specialties} topics={topics} />
+      </DocsBody>
+    </DocsPage>
+  );
+}
+
+export const metadata: Metadata = {
+  title: "Timed exam",
+  description: "Timed, self-marked viva practice from active recall questions.",
+};
@@ -0,0 +1,80 @@
+import {
+  DocsBody,
+  DocsDescription,
+  DocsPage,
+  DocsTitle,
+} from "fumadocs-ui/layouts/notebook/page";
+import type { Metadata } from "next";
+import Link from "next/link";
+import { ReviewSession, type ReviewFacet } from "@/components/review-session";
+import { getAllReviewItems } from "@/lib/active-recall-items";
+import { getDocsFolderTitle } from "@/lib/docs-folders";
+import { FRAGMENT_TAB_LABELS, toFragmentTabKey } from "@/lib/fragment-tabs";
+
+function countBy<T>(values: T[], getKey: (value: T) => string): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const value of values) {
+    const key = getKey(value);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return counts;
+}
+
+export default async function ReviewPage() {
+  const items = await getAllReviewItems();
+
+  const specialtyCounts = countBy(items, (item) => item.specialty);
+  const specialties: ReviewFacet[] = await Promise.all(
+    Array.from(specialtyCounts.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(async ([value, count]) => ({
+        value,
+        label: await getDocsFolderTitle(value),
+        count,
+      })),
+  );
+
+  const tabOrder = Object.keys(FRAGMENT_TAB_LABELS);
+  const tabs: ReviewFacet[] = Array.from(
+    countBy(items, (item) => item.tab ?? item.tabLabel).entries(),
+  )
+    .map(([value, count]) => {
+      const tabKey = toFragmentTabKey(value);
+      return { value, label: tabKey ? FRAGMENT_TAB_LABELS[tabKey] : value, count };
+    })
+    .sort((a, b) => {
+      const rank = (value: string) => {
+        const index = tabOrder.indexOf(value);
+        return index < 0 ? tabOrder.length : index;
+      };
+      return rank(a.value) - rank(b.value) || a.label.localeCompare(b.label);
+    });
+
+  return (
+    <DocsPage>
+      <DocsTitle>Review queue</DocsTitle>
+      <DocsDescription>
+        Every active recall question on the site in one shuffled session.
+        Ratings share the same schedule as the quizzes on each page. For viva
+        practice against the clock, try the{" "}
+        <Link href="/review/exam" className="underline underline-offset-2">
+          timed exam
+        </Link>
+        .
+      </DocsDescription>
+      <DocsBody>
+        <ReviewSession
+          itemsUrl="/review-items.json"
+          total={items.length}
+          specialties={specialties}
+          tabs={tabs}
+        />
+      </DocsBody>
+    </DocsPage>
+  );
+}
+
+export const metadata: Metadata = {
+  title: "Review queue",
+  description: "Shuffled spaced-repetition review of every active recall question.",
+};
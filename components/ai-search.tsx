@@ -5,34 +5,119 @@ import {
   type ReactNode,
   type SyntheticEvent,
   use,
+  useCallback,
   useEffect,
   useEffectEvent,
   useMemo,
   useRef,
   useState,
 } from "react";
-import { Loader2, MessageCircleIcon, RefreshCw, Send, X } from "lucide-react";
+import {
+  Download,
+  FileText,
+  History,
+  Loader2,
+  MessageCircleIcon,
+  Pencil,
+  RefreshCw,
+  Send,
+  ThumbsDown,
+  ThumbsUp,
+  Trash2,
+  TriangleAlert,
+  X,
+} from "lucide-react";
 import { cn } from "../lib/cn";
 import { buttonVariants } from "./ui/button";
 import Link from "fumadocs-core/link";
 import { type UIMessage, useChat, type UseChatHelpers } from "@ai-sdk/react";
 import type { ProvideLinksToolSchema } from "../lib/inkeep-qa-schema";
+import type { CitationIntegrityReport } from "../lib/chat/citation-repair";
+import {
+  ANSWER_CONTEXT_PART,
+  CITATION_INTEGRITY_PART,
+  RETRIEVAL_QUERY_PART,
+} from "../lib/chat/data-parts";
+// Types only: these modules read the page tree or files on the server.
+import type { ChatAnswerContext, ChatFeedbackRating } from "../lib/chat/feedback";
+import type { RetrievalQuery } from "../lib/chat/query-rewrite";
+import { getMessageText } from "../lib/chat/messages";
+import {
+  formatChatThreadMarkdown,
+  getChatThreadFileName,
+} from "../lib/chat/thread-export";
+import {
+  getChatThreadStorage,
+  updateChatThreads,
+  type ChatThreadSummary,
+} from "../lib/chat/thread-storage";
+import { useChatThreads } from "../lib/use-chat-threads";
 import type { z } from "zod";
 import { DefaultChatTransport } from "ai";
 import { Markdown } from "./markdown";
 import { Presence } from "@radix-ui/react-presence";
 
+/** The thread the panel is showing; saved once its first answer finishes. */
+type ActiveThread = Omit<ChatThreadSummary, "updatedAt">;
+
+type ThreadActions = {
+  active: ActiveThread | null;
+  /** Starts a thread titled after its first question, on the current page. */
+  start: (firstQuestion: string) => void;
+  /** Clears the panel; the previous thread stays saved. */
+  startNew: () => void;
+  resume: (id: string) => Promise<void>;
+  rename: (id: string, title: string) => Promise<void>;
+  remove: (id: string) => Promise<void>;
+};
+
 const Context = createContext<{
   open: boolean;
   setOpen: (open: boolean) => void;
+  /** Limit retrieval to the current page and its fragments. */
+  pageScoped: boolean;
+  setPageScoped: (pageScoped: boolean) => void;
+  view: "chat" | "threads";
+  setView: (view: "chat" | "threads") => void;
+  threads: ThreadActions;
   chat: UseChatHelpers<UIMessage>;
 } | null>(null);
 
+const MAX_THREAD_TITLE_CHARS = 80;
+
+/** Changes when a message is added or replaced, e.g. by Retry. */
+function getMessagesKey(messages: UIMessage[]): string {
+  return `${messages.length}:${messages.at(-1)?.id ?? ""}`;
+}
+
+function downloadMarkdown(fileName: string, markdown: string) {
+  const blob = new Blob([markdown], { type: "text/markdown" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Extra `/api/chat` body fields describing where the question was asked. */
+function getChatRequestBody(pageScoped: boolean) {
+  if (typeof window === "undefined") return {};
+
+  return {
+    pageContext: {
+      pathname: window.location.pathname || undefined,
+      title: document.title || undefined,
+    },
+    scope: pageScoped ? "page" : "global",
+  };
+}
+
 export function AISearchPanelHeader({
   className,
   ...props
 }: ComponentProps<"div">) {
-  const { setOpen } = useAISearchContext();
+  const { setOpen, view, setView } = useAISearchContext();
 
   return (
     <div
@@ -56,6 +141,24 @@ export function AISearchPanelHeader({
         </p>
       </div>
 
+      <button
+        aria-label="Saved chats"
+        aria-pressed={view === "threads"}
+        title="Saved chats"
+        className={cn(
+          buttonVariants({
+            size: "icon-sm",
+            color: "ghost",
+            className: cn(
+              "text-fd-muted-foreground rounded-full",
+              view === "threads" && "text-fd-primary",
+            ),
+          }),
+        )}
+        onClick={() => setView(view === "threads" ? "chat" : "threads")}
+      >
+        <History />
+      </button>
       <button
         aria-label="Close"
         tabIndex={-1}
@@ -74,8 +177,32 @@ export function AISearchPanelHeader({
   );
 }
 
+export function AISearchScopeToggle() {
+  const { pageScoped, setPageScoped } = useAISearchContext();
+
+  return (
+    <button
+      type="button"
+      aria-pressed={pageScoped}
+      title="Answer from the current page, or the whole site when it has too little"
+      className={cn(
+        buttonVariants({
+          color: pageScoped ? "primary" : "secondary",
+          size: "sm",
+          className: "rounded-full gap-1.5",
+        }),
+      )}
+      onClick={() => setPageScoped(!pageScoped)}
+    >
+      <FileText className="size-4" />
+      This page
+    </button>
+  );
+}
+
 export function AISearchInputActions() {
-  const { messages, status, setMessages, regenerate } = useChatContext();
+  const { pageScoped, threads } = useAISearchContext();
+  const { messages, status, regenerate } = useChatContext();
   const isLoading = status === "streaming";
 
   if (messages.length === 0) return null;
@@ -92,7 +219,7 @@ export function AISearchInputActions() {
               className: "rounded-full gap-1.5",
             }),
           )}
-          onClick={() => regenerate()}
+          onClick={() => regenerate({ body: getChatRequestBody(pageScoped) })}
         >
           <RefreshCw className="size-4" />
           Retry
@@ -107,9 +234,9 @@ export function AISearchInputActions() {
             className: "rounded-full",
           }),
         )}
-        onClick={() => setMessages([])}
+        onClick={threads.startNew}
       >
-        Clear Chat
+        New Chat
       </button>
     </>
   );
@@ -117,6 +244,7 @@ export function AISearchInputActions() {
 
 const StorageKeyInput = "__ai_search_input";
 export function AISearchInput(props: ComponentProps<"form">) {
+  const { pageScoped, setView, threads } = useAISearchContext();
   const { status, sendMessage, stop } = useChatContext();
   const [input, setInput] = useState(
     () => localStorage.getItem(StorageKeyInput) ?? "",
@@ -124,22 +252,9 @@ export function AISearchInput(props: ComponentProps<"form">) {
   const isLoading = status === "streaming" || status === "submitted";
   const onStart = (e?: SyntheticEvent) => {
     e?.preventDefault();
-    const pageContext =
-      typeof window === "undefined"
-        ? undefined
-        : {
-            pathname: window.location.pathname || undefined,
-            title: document.title || undefined,
-          };
-
-    void sendMessage(
-      { text: input },
-      {
-        body: {
-          pageContext,
-        },
-      },
-    );
+    if (!threads.active) threads.start(input);
+    setView("chat");
+    void sendMessage({ text: input }, { body: getChatRequestBody(pageScoped) });
     setInput("");
   };
 
@@ -273,12 +388,142 @@ const roleName: Record<string, string> = {
   assistant: "memo-1",
 };
 
+function MessageFeedback({
+  message,
+  question,
+  answerContext,
+}: {
+  message: UIMessage;
+  question: string;
+  answerContext: ChatAnswerContext | null;
+}) {
+  const [rating, setRating] = useState<ChatFeedbackRating | null>(null);
+  const [status, setStatus] = useState<"idle" | "sending" | "sent" | "error">("idle");
+
+  const send = async (nextRating: ChatFeedbackRating, comment?: string) => {
+    setStatus("sending");
+    try {
+      const response = await fetch("/api/chat/feedback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          messageId: message.id,
+          rating: nextRating,
+          comment,
+          question,
+          answer: getMessageText(message),
+          pathname: window.location.pathname,
+          chunkIds: answerContext?.chunkIds ?? [],
+          citationMap: answerContext?.citationMap ?? [],
+        }),
+      });
+      if (!response.ok) throw new Error(await response.text());
+      setStatus("sent");
+    } catch (error) {
+      console.warn("Sending chat feedback failed:", error);
+      setStatus("error");
+    }
+  };
+
+  if (status === "sent") {
+    return <p className="mt-2 text-xs text-fd-muted-foreground">Thanks for the feedback.</p>;
+  }
+
+  const thumbButton = (value: ChatFeedbackRating) =>
+    cn(
+      buttonVariants({
+        size: "icon-xs",
+        color: "ghost",
+        className: cn(
+          "text-fd-muted-foreground rounded-full",
+          rating === value && "text-fd-primary",
+        ),
+      }),
+    );
+
+  return (
+    <div className="mt-2 flex flex-col gap-2">
+      <div className="flex items-center gap-1">
+        <button
+          type="button"
+          aria-label="Good answer"
+          aria-pressed={rating === "up"}
+          title="Good answer"
+          className={thumbButton("up")}
+          disabled={status === "sending"}
+          onClick={() => {
+            setRating("up");
+            void send("up");
+          }}
+        >
+          <ThumbsUp />
+        </button>
+        <button
+          type="button"
+          aria-label="Wrong or unsafe answer"
+          aria-pressed={rating === "down"}
+          title="Wrong or unsafe answer"
+          className={thumbButton("down")}
+          disabled={status === "sending"}
+          onClick={() => setRating("down")}
+        >
+          <ThumbsDown />
+        </button>
+        {status === "error" && (
+          <span className="text-xs text-fd-muted-foreground">
+            Feedback could not be sent. Try again.
+          </span>
+        )}
+      </div>
+      {rating === "down" && (
+        <form
+          className="flex flex-col gap-1.5"
+          onSubmit={(event) => {
+            event.preventDefault();
+            const comment = new FormData(event.currentTarget).get("comment");
+            void send("down", String(comment ?? "").trim() || undefined);
+          }}
+        >
+          <textarea
+            name="comment"
+            rows={3}
+            aria-label="What's wrong?"
+            placeholder="What's wrong? E.g. an incorrect dose or a missing red flag"
+            className="resize-none rounded-md border bg-fd-background px-2 py-1 text-sm placeholder:text-fd-muted-foreground focus-visible:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={status === "sending"}
+            className={cn(
+              buttonVariants({
+                color: "secondary",
+                size: "sm",
+                className: "self-end rounded-full",
+              }),
+            )}
+          >
+            Send feedback
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
 function Message({
   message,
+  question,
   ...props
-}: { message: UIMessage } & ComponentProps<"div">) {
+}: {
+  message: UIMessage;
+  /** The question an assistant message answers; shows feedback controls. */
+  question?: string;
+} & ComponentProps<"div">) {
   let markdown = "";
   let links: z.infer<typeof ProvideLinksToolSchema>["links"] = [];
+  let citationIntegrity: CitationIntegrityReport | null = null;
+  let retrievalQuery: RetrievalQuery | null = null;
+  let answerContext: ChatAnswerContext | null = null;
 
   for (const part of message.parts ?? []) {
     if (part.type === "text") {
@@ -286,6 +531,21 @@ function Message({
       continue;
     }
 
+    if (part.type === `data-${CITATION_INTEGRITY_PART}`) {
+      citationIntegrity = part.data as CitationIntegrityReport;
+      continue;
+    }
+
+    if (part.type === `data-${RETRIEVAL_QUERY_PART}`) {
+      retrievalQuery = part.data as RetrievalQuery;
+      continue;
+    }
+
+    if (part.type === `data-${ANSWER_CONTEXT_PART}`) {
+      answerContext = part.data as ChatAnswerContext;
+      continue;
+    }
+
     if (part.type === "tool-provideLinks" && part.input) {
       links = (part.input as z.infer<typeof ProvideLinksToolSchema>).links;
     }
@@ -293,14 +553,26 @@ function Message({
 
   return (
     <div onClick={(e) => e.stopPropagation()} {...props}>
-      <p
-        className={cn(
-          "mb-1 text-sm font-medium text-fd-muted-foreground",
-          message.role === "assistant" && "text-fd-primary",
+      <div className="mb-1 flex items-center gap-2">
+        <p
+          className={cn(
+            "text-sm font-medium text-fd-muted-foreground",
+            message.role === "assistant" && "text-fd-primary",
+          )}
+          title={retrievalQuery ? `Searched for: ${retrievalQuery.query}` : undefined}
+        >
+          {roleName[message.role] ?? "unknown"}
+        </p>
+        {citationIntegrity && citationIntegrity.issues.length > 0 && (
+          <span
+            className="inline-flex items-center gap-1 rounded-full border border-fd-border bg-fd-secondary px-2 py-0.5 text-xs text-fd-muted-foreground"
+            title={citationIntegrity.issues.join("\n")}
+          >
+            <TriangleAlert className="size-3" />
+            Citations repaired
+          </span>
         )}
-      >
-        {roleName[message.role] ?? "unknown"}
-      </p>
+      </div>
       <div className="prose text-sm">
         <Markdown text={markdown} />
       </div>
@@ -318,21 +590,105 @@ function Message({
           ))}
         </div>
       )}
+      {question !== undefined && (
+        <MessageFeedback message={message} question={question} answerContext={answerContext} />
+      )}
     </div>
   );
 }
 
 export function AISearch({ children }: { children: ReactNode }) {
   const [open, setOpen] = useState(false);
+  const [pageScoped, setPageScoped] = useState(false);
+  const [view, setView] = useState<"chat" | "threads">("chat");
+  const [activeThread, setActiveThread] = useState<ActiveThread | null>(null);
+  // Key of the messages last saved or resumed, so resuming does not re-save.
+  const savedMessagesKeyRef = useRef<string | null>(null);
   const chat = useChat({
     id: "search",
     transport: new DefaultChatTransport({
       api: "/api/chat",
     }),
   });
+  const { messages, status, setMessages, stop } = chat;
+
+  useEffect(() => {
+    if (!activeThread || messages.length === 0) return;
+    if (status === "streaming" || status === "submitted") return;
+
+    const key = getMessagesKey(messages);
+    if (key === savedMessagesKeyRef.current) return;
+    savedMessagesKeyRef.current = key;
+
+    updateChatThreads((storage) =>
+      storage.put({ ...activeThread, updatedAt: new Date().toISOString(), messages }),
+    ).catch((error: unknown) => console.warn("Saving the chat thread failed:", error));
+  }, [activeThread, messages, status]);
+
+  const startNew = useCallback(() => {
+    void stop();
+    savedMessagesKeyRef.current = null;
+    setMessages([]);
+    setActiveThread(null);
+  }, [setMessages, stop]);
+
+  const threads = useMemo<ThreadActions>(
+    () => ({
+      active: activeThread,
+      start: (firstQuestion) =>
+        setActiveThread({
+          id: crypto.randomUUID(),
+          title: firstQuestion.trim().slice(0, MAX_THREAD_TITLE_CHARS) || "Untitled chat",
+          createdAt: new Date().toISOString(),
+          startedOn: {
+            pathname: window.location.pathname,
+            title: document.title || undefined,
+          },
+        }),
+      startNew,
+      async resume(id) {
+        const saved = await getChatThreadStorage().get(id);
+        if (!saved) return;
+
+        const { messages: savedMessages, ...summary } = saved;
+        void stop();
+        savedMessagesKeyRef.current = getMessagesKey(savedMessages);
+        setMessages(savedMessages);
+        setActiveThread({
+          id: summary.id,
+          title: summary.title,
+          createdAt: summary.createdAt,
+          startedOn: summary.startedOn,
+        });
+        setView("chat");
+      },
+      async rename(id, title) {
+        const trimmed = title.trim().slice(0, MAX_THREAD_TITLE_CHARS);
+        if (!trimmed) return;
+
+        await updateChatThreads(async (storage) => {
+          const saved = await storage.get(id);
+          if (saved) await storage.put({ ...saved, title: trimmed });
+        });
+        setActiveThread((current) =>
+          current?.id === id ? { ...current, title: trimmed } : current,
+        );
+      },
+      async remove(id) {
+        await updateChatThreads((storage) => storage.delete(id));
+        if (activeThread?.id === id) startNew();
+      },
+    }),
+    [activeThread, setMessages, startNew, stop],
+  );
 
   return (
-    <Context value={useMemo(() => ({ chat, open, setOpen }), [chat, open])}>
+    <Context
+      value={useMemo(
+        () => ({ chat, open, setOpen, pageScoped, setPageScoped, view, setView, threads }),
+        [chat, open, pageScoped, view, threads],
+      )}
+    >
       {children}
     </Context>
   );
@@ -364,7 +720,7 @@ export function AISearchTrigger({
 }
 
 export function AISearchPanel() {
-  const { open, setOpen } = useAISearchContext();
+  const { open, setOpen, view } = useAISearchContext();
   useHotKey();
 
   return (
@@ -408,10 +764,15 @@ export function AISearchPanel() {
         >
           <div className="flex flex-col size-full p-2 max-lg:max-h-[80dvh] lg:p-3 lg:w-(--ai-chat-width)">
             <AISearchPanelHeader />
-            <AISearchPanelList className="flex-1" />
+            {view === "threads" ? (
+              <AISearchThreadList className="flex-1" />
+            ) : (
+              <AISearchPanelList className="flex-1" />
+            )}
             <div className="rounded-xl border bg-fd-secondary text-fd-secondary-foreground shadow-sm has-focus-visible:shadow-md">
               <AISearchInput />
               <div className="flex items-center gap-1.5 p-1 empty:hidden">
+                <AISearchScopeToggle />
                 <AISearchInputActions />
               </div>
             </div>
@@ -429,6 +790,16 @@ export function AISearchPanelList({
 }: ComponentProps<"div">) {
   const chat = useChatContext();
   const messages = chat.messages.filter((msg) => msg.role !== "system");
+  const isAnswering = chat.status === "streaming" || chat.status === "submitted";
+
+  // The question each finished answer replies to, for its feedback controls.
+  const getQuestion = (index: number): string | undefined => {
+    if (messages[index].role !== "assistant") return undefined;
+    if (isAnswering && index === messages.length - 1) return undefined;
+
+    const question = messages.slice(0, index).findLast((msg) => msg.role === "user");
+    return question ? getMessageText(question) : undefined;
+  };
 
   return (
     <List
@@ -447,8 +818,8 @@ export function AISearchPanelList({
         </div>
       ) : (
         <div className="flex flex-col px-3 gap-4">
-          {messages.map((item) => (
-            <Message key={item.id} message={item} />
+          {messages.map((item, index) => (
+            <Message key={item.id} message={item} question={getQuestion(index)} />
           ))}
         </div>
       )}
@@ -456,6 +827,153 @@ export function AISearchPanelList({
   );
 }
 
+function ThreadItem({
+  thread,
+  active,
+}: {
+  thread: ChatThreadSummary;
+  active: boolean;
+}) {
+  const { threads } = useAISearchContext();
+  const [renaming, setRenaming] = useState(false);
+  const date = new Date(thread.updatedAt).toLocaleDateString(undefined, {
+    dateStyle: "medium",
+  });
+
+  const onExport = async () => {
+    const saved = await getChatThreadStorage().get(thread.id);
+    if (!saved) return;
+    downloadMarkdown(
+      getChatThreadFileName(saved),
+      formatChatThreadMarkdown(saved, window.location.origin),
+    );
+  };
+
+  const iconButton = cn(
+    buttonVariants({
+      size: "icon-xs",
+      color: "ghost",
+      className: "text-fd-muted-foreground rounded-full",
+    }),
+  );
+
+  return (
+    <li
+      className={cn(
+        "rounded-lg border p-2 text-sm",
+        active && "border-fd-primary bg-fd-primary/10",
+      )}
+    >
+      {renaming ? (
+        <form
+          onSubmit={(event) => {
+            event.preventDefault();
+            const title = new FormData(event.currentTarget).get("title");
+            void threads.rename(thread.id, String(title ?? ""));
+            setRenaming(false);
+          }}
+        >
+          <input
+            name="title"
+            defaultValue={thread.title}
+            aria-label="Chat name"
+            autoFocus
+            className="w-full rounded-md border bg-fd-background px-2 py-1 text-sm focus-visible:outline-none"
+            onBlur={() => setRenaming(false)}
+            onKeyDown={(event) => {
+              if (event.key === "Escape") {
+                event.stopPropagation();
+                setRenaming(false);
+              }
+            }}
+          />
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="w-full text-start font-medium hover:text-fd-primary"
+          onClick={() => void threads.resume(thread.id)}
+        >
+          {thread.title}
+        </button>
+      )}
+      <div className="mt-1 flex items-center gap-1">
+        <p className="min-w-0 flex-1 truncate text-xs text-fd-muted-foreground">
+          {thread.startedOn ? (
+            <>
+              Started on{" "}
+              <Link href={thread.startedOn.pathname} className="underline">
+                {thread.startedOn.title ?? thread.startedOn.pathname}
+              </Link>
+              {" · "}
+            </>
+          ) : null}
+          {date}
+        </p>
+        <button
+          type="button"
+          aria-label="Rename"
+          title="Rename"
+          className={iconButton}
+          onClick={() => setRenaming(true)}
+        >
+          <Pencil />
+        </button>
+        <button
+          type="button"
+          aria-label="Export as Markdown"
+          title="Export as Markdown"
+          className={iconButton}
+          onClick={() => void onExport()}
+        >
+          <Download />
+        </button>
+        <button
+          type="button"
+          aria-label="Delete"
+          title="Delete"
+          className={iconButton}
+          onClick={() => void threads.remove(thread.id)}
+        >
+          <Trash2 />
+        </button>
+      </div>
+    </li>
+  );
+}
+
+export function AISearchThreadList({
+  className,
+  ...props
+}: ComponentProps<"div">) {
+  const { threads } = useAISearchContext();
+  const saved = useChatThreads();
+
+  return (
+    <div
+      className={cn("fd-scroll-container overflow-y-auto min-w-0 py-4", className)}
+      onClick={(e) => e.stopPropagation()}
+      {...props}
+    >
+      {saved === null ? null : saved.length === 0 ? (
+        <p className="px-3 text-sm text-center text-fd-muted-foreground/80">
+          No saved chats yet. Chats are saved in this browser once answered.
+        </p>
+      ) : (
+        <ul className="flex flex-col px-3 gap-2">
+          {saved.map((thread) => (
+            <ThreadItem
+              key={thread.id}
+              thread={thread}
+              active={thread.id === threads.active?.id}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 export function useHotKey() {
   const { open, setOpen } = useAISearchContext();
 
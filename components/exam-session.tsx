@@ -0,0 +1,472 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import { Download, Timer } from "lucide-react";
+import { buttonVariants } from "@/components/ui/button";
+import type { ReviewItem } from "@/lib/active-recall-items";
+import { cn } from "@/lib/cn";
+import { FRAGMENT_TAB_LABELS } from "@/lib/fragment-tabs";
+import { shuffle, useReviewItems } from "@/lib/use-review-items";
+
+export type ExamScopeOption = {
+  value: string;
+  label: string;
+  count: number;
+};
+
+type ExamSessionProps = {
+  /** Static JSON list of every review item, fetched on mount. */
+  itemsUrl: string;
+  specialties: ExamScopeOption[];
+  /** Topic pages, keyed by page URL. */
+  topics: ExamScopeOption[];
+};
+
+type ExamScope = { type: "specialty" | "topic"; value: string };
+
+type ExamAnswer = {
+  text: string;
+  timeTakenSeconds: number;
+  timedOut: boolean;
+  /** Self-assigned marks out of {@link MAX_SCORE}; null until marked. */
+  score: number | null;
+};
+
+const MAX_SCORE = 2;
+const SCORE_LABELS = ["Missed", "Partial", "Full"] as const;
+const DEFAULT_QUESTION_COUNT = 10;
+const DEFAULT_SECONDS_PER_QUESTION = 90;
+
+function formatSeconds(seconds: number): string {
+  const safe = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(safe / 60)}:${String(safe % 60).padStart(2, "0")}`;
+}
+
+function getSectionKey(item: ReviewItem): string {
+  return item.tab ?? item.tabLabel;
+}
+
+function buildExamReport(
+  scope: ExamScope & { label: string },
+  questions: ReviewItem[],
+  answers: ExamAnswer[],
+  secondsPerQuestion: number,
+  startedAt: string,
+) {
+  const tabOrder = Object.keys(FRAGMENT_TAB_LABELS);
+  const sections = new Map<
+    string,
+    { label: string; questions: number; score: number; maxScore: number }
+  >();
+
+  const results = questions.map((item, index) => {
+    const answer = answers[index];
+    const section = getSectionKey(item);
+    const entry = sections.get(section) ?? {
+      label: item.tabLabel,
+      questions: 0,
+      score: 0,
+      maxScore: 0,
+    };
+    entry.questions += 1;
+    entry.score += answer?.score ?? 0;
+    entry.maxScore += MAX_SCORE;
+    sections.set(section, entry);
+
+    return {
+      question: item.question,
+      markscheme: item.markscheme,
+      answer: answer?.text ?? "",
+      score: answer?.score ?? 0,
+      maxScore: MAX_SCORE,
+      timeTakenSeconds: answer?.timeTakenSeconds ?? 0,
+      timedOut: answer?.timedOut ?? false,
+      section,
+      sectionLabel: item.tabLabel,
+      pageUrl: item.pageUrl,
+      pageTitle: item.pageTitle,
+    };
+  });
+
+  const sectionRank = (section: string) => {
+    const index = tabOrder.indexOf(section);
+    return index < 0 ? tabOrder.length : index;
+  };
+
+  return {
+    scope,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    secondsPerQuestion,
+    total: {
+      questions: results.length,
+      score: results.reduce((sum, result) => sum + result.score, 0),
+      maxScore: results.length * MAX_SCORE,
+    },
+    sections: Array.from(sections.entries())
+      .sort(([a], [b]) => sectionRank(a) - sectionRank(b))
+      .map(([section, entry]) => ({ section, ...entry })),
+    questions: results,
+  };
+}
+
+function downloadJson(fileName: string, value: unknown) {
+  const blob = new Blob([`${JSON.stringify(value, null, 2)}\n`], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function ExamSession({ itemsUrl, specialties, topics }: ExamSessionProps) {
+  const { items, error } = useReviewItems(itemsUrl);
+  const [scope, setScope] = useState<ExamScope>({
+    type: "specialty",
+    value: specialties[0]?.value ?? "",
+  });
+  const [questionCount, setQuestionCount] = useState(DEFAULT_QUESTION_COUNT);
+  const [secondsPerQuestion, setSecondsPerQuestion] = useState(DEFAULT_SECONDS_PER_QUESTION);
+
+  const [phase, setPhase] = useState<"setup" | "answering" | "marking" | "report">("setup");
+  const [questions, setQuestions] = useState<ReviewItem[]>([]);
+  const [answers, setAnswers] = useState<ExamAnswer[]>([]);
+  const [position, setPosition] = useState(0);
+  const [draft, setDraft] = useState("");
+  const [remaining, setRemaining] = useState(0);
+  const [startedAt, setStartedAt] = useState("");
+  const deadlineRef = useRef(0);
+  // Read by `submitAnswer`, so typing does not restart the countdown interval.
+  const draftRef = useRef("");
+  // Answers submitted so far, updated before React re-renders, so a second
+  // click or a timeout in the same tick cannot answer one question twice.
+  const answeredRef = useRef(0);
+
+  const scopeOptions = scope.type === "specialty" ? specialties : topics;
+  const scopeLabel = scopeOptions.find((option) => option.value === scope.value)?.label ?? scope.value;
+  const pool = useMemo(
+    () =>
+      (items ?? []).filter((item) =>
+        scope.type === "specialty" ? item.specialty === scope.value : item.pageUrl === scope.value,
+      ),
+    [items, scope],
+  );
+
+  const startQuestion = useCallback(() => {
+    deadlineRef.current = Date.now() + secondsPerQuestion * 1000;
+    setRemaining(secondsPerQuestion);
+    draftRef.current = "";
+    setDraft("");
+  }, [secondsPerQuestion]);
+
+  const updateDraft = (text: string) => {
+    draftRef.current = text;
+    setDraft(text);
+  };
+
+  const startExam = () => {
+    const picked = shuffle(pool).slice(0, Math.max(1, questionCount));
+    setQuestions(picked);
+    setAnswers([]);
+    answeredRef.current = 0;
+    setPosition(0);
+    setStartedAt(new Date().toISOString());
+    setPhase("answering");
+    startQuestion();
+  };
+
+  const submitAnswer = useCallback(
+    (timedOut: boolean) => {
+      if (answeredRef.current > position) return;
+      answeredRef.current = position + 1;
+
+      const elapsed = secondsPerQuestion - Math.max(0, (deadlineRef.current - Date.now()) / 1000);
+      const text = draftRef.current.trim();
+      setAnswers((current) => [
+        ...current,
+        {
+          text,
+          timeTakenSeconds: Math.round(Math.min(elapsed, secondsPerQuestion)),
+          timedOut,
+          score: null,
+        },
+      ]);
+
+      if (position + 1 >= questions.length) {
+        deadlineRef.current = Number.POSITIVE_INFINITY;
+        setPhase("marking");
+      } else {
+        setPosition(position + 1);
+        startQuestion();
+      }
+    },
+    [position, questions.length, secondsPerQuestion, startQuestion],
+  );
+
+  useEffect(() => {
+    if (phase !== "answering") return;
+
+    const interval = window.setInterval(() => {
+      const next = (deadlineRef.current - Date.now()) / 1000;
+      setRemaining(next);
+      if (next <= 0) submitAnswer(true);
+    }, 250);
+
+    return () => window.clearInterval(interval);
+  }, [phase, submitAnswer]);
+
+  const setScore = (index: number, score: number) => {
+    setAnswers((current) =>
+      current.map((answer, answerIndex) => (answerIndex === index ? { ...answer, score } : answer)),
+    );
+  };
+
+  const report = useMemo(
+    () =>
+      phase === "report"
+        ? buildExamReport(
+            { ...scope, label: scopeLabel },
+            questions,
+            answers,
+            secondsPerQuestion,
+            startedAt,
+          )
+        : null,
+    [answers, phase, questions, scope, scopeLabel, secondsPerQuestion, startedAt],
+  );
+
+  if (phase === "answering") {
+    const current = questions[position];
+
+    return (
+      <div className="not-prose rounded-xl border border-fd-border bg-fd-card p-4">
+        <div className="flex items-center justify-between gap-2 text-xs text-fd-muted-foreground">
+          <span>
+            Question {position + 1} / {questions.length} · {current.tabLabel}
+          </span>
+          <span
+            className={cn(
+              "inline-flex items-center gap-1 tabular-nums",
+              remaining <= 10 && "text-red-500",
+            )}
+          >
+            <Timer className="size-3.5" />
+            {formatSeconds(remaining)}
+          </span>
+        </div>
+        <p className="mt-3 font-medium">{current.question}</p>
+        <textarea
+          value={draft}
+          autoFocus
+          rows={6}
+          placeholder="Type your answer as you would say it in the viva"
+          className="mt-3 w-full resize-y rounded-lg border border-fd-border bg-fd-background p-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-fd-ring"
+          onChange={(event) => updateDraft(event.target.value)}
+        />
+        <button
+          type="button"
+          className={cn(buttonVariants({ color: "primary", size: "sm", className: "mt-3" }))}
+          onClick={() => submitAnswer(false)}
+        >
+          {position + 1 >= questions.length ? "Submit and mark" : "Submit answer"}
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === "marking") {
+    const allMarked = answers.every((answer) => answer.score !== null);
+
+    return (
+      <div className="not-prose flex flex-col gap-4">
+        {questions.map((item, index) => {
+          const answer = answers[index];
+          return (
+            <div key={item.key} className="rounded-xl border border-fd-border bg-fd-card p-4">
+              <p className="text-xs text-fd-muted-foreground">
+                {index + 1}. {item.tabLabel} · {answer?.timeTakenSeconds ?? 0}s
+                {answer?.timedOut ? " · timed out" : ""}
+              </p>
+              <p className="mt-1 font-medium">{item.question}</p>
+              <div className="mt-3 grid gap-3 md:grid-cols-2">
+                <div>
+                  <p className="text-xs font-medium text-fd-muted-foreground">Your answer</p>
+                  <p className="mt-1 whitespace-pre-wrap text-sm">
+                    {answer?.text || <span className="text-fd-muted-foreground">No answer</span>}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-xs font-medium text-fd-muted-foreground">Markscheme</p>
+                  <p className="mt-1 whitespace-pre-wrap text-sm text-fd-muted-foreground">
+                    {item.markscheme}
+                  </p>
+                </div>
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {SCORE_LABELS.map((label, score) => (
+                  <button
+                    key={label}
+                    type="button"
+                    aria-pressed={answer?.score === score}
+                    className={cn(
+                      buttonVariants({
+                        color: answer?.score === score ? "primary" : "secondary",
+                        size: "sm",
+                      }),
+                    )}
+                    onClick={() => setScore(index, score)}
+                  >
+                    {label} ({score}/{MAX_SCORE})
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+        <button
+          type="button"
+          disabled={!allMarked}
+          className={cn(buttonVariants({ color: "primary", size: "sm", className: "self-start" }))}
+          onClick={() => setPhase("report")}
+        >
+          {allMarked ? "Show report" : "Mark every answer to see the report"}
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === "report" && report) {
+    const percent = (score: number, maxScore: number) =>
+      maxScore > 0 ? `${Math.round((score / maxScore) * 100)}%` : "–";
+
+    return (
+      <div className="not-prose rounded-xl border border-fd-border bg-fd-card p-4">
+        <p className="font-semibold">
+          {scopeLabel}: {report.total.score}/{report.total.maxScore} (
+          {percent(report.total.score, report.total.maxScore)})
+        </p>
+        <table className="mt-3 w-full text-sm">
+          <thead className="text-left text-xs text-fd-muted-foreground">
+            <tr>
+              <th className="py-1 font-medium">Section</th>
+              <th className="py-1 font-medium">Questions</th>
+              <th className="py-1 font-medium">Score</th>
+              <th className="py-1 font-medium">%</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.sections.map((section) => (
+              <tr key={section.section} className="border-t border-fd-border">
+                <td className="py-1">{section.label}</td>
+                <td className="py-1">{section.questions}</td>
+                <td className="py-1">
+                  {section.score}/{section.maxScore}
+                </td>
+                <td className="py-1">{percent(section.score, section.maxScore)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-4 flex flex-wrap gap-2">
+          <button
+            type="button"
+            className={cn(buttonVariants({ color: "secondary", size: "sm", className: "gap-1.5" }))}
+            onClick={() =>
+              downloadJson(`mbbspedia-exam-${report.finishedAt.slice(0, 10)}.json`, report)
+            }
+          >
+            <Download className="size-3.5" />
+            Export JSON
+          </button>
+          <button
+            type="button"
+            className={cn(buttonVariants({ color: "secondary", size: "sm" }))}
+            onClick={() => setPhase("setup")}
+          >
+            New exam
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="not-prose flex flex-col gap-3 rounded-xl border border-fd-border bg-fd-card p-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="w-32 text-xs font-medium text-fd-muted-foreground">Questions from</span>
+        <select
+          value={scope.type}
+          className="rounded-md border border-fd-border bg-fd-background px-2 py-1"
+          onChange={(event) => {
+            const type = event.target.value === "topic" ? "topic" : "specialty";
+            const options = type === "specialty" ? specialties : topics;
+            setScope({ type, value: options[0]?.value ?? "" });
+          }}
+        >
+          <option value="specialty">Specialty</option>
+          <option value="topic">Topic</option>
+        </select>
+        <select
+          value={scope.value}
+          className="min-w-0 max-w-full flex-1 rounded-md border border-fd-border bg-fd-background px-2 py-1"
+          onChange={(event) => setScope({ ...scope, value: event.target.value })}
+        >
+          {scopeOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label} ({option.count})
+            </option>
+          ))}
+        </select>
+      </div>
+      <label className="flex flex-wrap items-center gap-2">
+        <span className="w-32 text-xs font-medium text-fd-muted-foreground">Questions</span>
+        <input
+          type="number"
+          min={1}
+          max={50}
+          value={questionCount}
+          className="w-20 rounded-md border border-fd-border bg-fd-background px-2 py-1"
+          onChange={(event) => setQuestionCount(Number(event.target.value) || 1)}
+        />
+      </label>
+      <label className="flex flex-wrap items-center gap-2">
+        <span className="w-32 text-xs font-medium text-fd-muted-foreground">Seconds each</span>
+        <input
+          type="number"
+          min={15}
+          step={15}
+          value={secondsPerQuestion}
+          className="w-20 rounded-md border border-fd-border bg-fd-background px-2 py-1"
+          onChange={(event) => setSecondsPerQuestion(Number(event.target.value) || 15)}
+        />
+      </label>
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          disabled={!items || pool.length === 0}
+          className={cn(buttonVariants({ color: "primary", size: "sm", className: "gap-1.5" }))}
+          onClick={startExam}
+        >
+          <Timer className="size-3.5" />
+          Start exam
+        </button>
+        <span className="text-xs text-fd-muted-foreground">
+          {error
+            ? error
+            : items
+              ? `${Math.min(questionCount, pool.length)} of ${pool.length} questions`
+              : "Loading questions…"}
+        </span>
+      </div>
+      <p className="text-xs text-fd-muted-foreground">
+        Markschemes stay hidden until the end. You mark your own answers; nothing is
+        graded automatically.{" "}
+        <Link href="/review" className="underline underline-offset-2">
+          Back to the review queue
+        </Link>
+      </p>
+    </div>
+  );
+}
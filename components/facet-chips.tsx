@@ -0,0 +1,54 @@
+"use client";
+
+import { cn } from "@/lib/cn";
+
+export type FacetOption = {
+  value: string;
+  label: string;
+  count: number;
+};
+
+export function toggleFacetValue(values: string[], value: string): string[] {
+  return values.includes(value)
+    ? values.filter((current) => current !== value)
+    : [...values, value];
+}
+
+export function FacetChips({
+  label,
+  facets,
+  selected,
+  onToggle,
+  className,
+}: {
+  label: string;
+  facets: FacetOption[];
+  selected: string[];
+  onToggle: (value: string) => void;
+  className?: string;
+}) {
+  return (
+    <div className={cn("flex flex-wrap items-center gap-2", className)}>
+      <span className="w-20 text-xs font-medium text-fd-muted-foreground">{label}</span>
+      {facets.map((facet) => {
+        const active = selected.includes(facet.value);
+        return (
+          <button
+            key={facet.value}
+            type="button"
+            aria-pressed={active}
+            className={cn(
+              "rounded-full border px-2.5 py-1 text-xs transition-colors",
+              active
+                ? "border-fd-primary bg-fd-primary/10 text-fd-primary"
+                : "border-fd-border text-fd-muted-foreground hover:bg-fd-accent hover:text-fd-accent-foreground",
+            )}
+            onClick={() => onToggle(facet.value)}
+          >
+            {facet.label} <span className="opacity-70">{facet.count}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
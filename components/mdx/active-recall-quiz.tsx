@@ -1,11 +1,27 @@
 "use client";
 
+import { useState } from "react";
+import { usePathname } from "next/navigation";
 import {
   Accordion,
   AccordionContent,
   AccordionItem,
   AccordionTrigger,
 } from "@/components/ui/accordion";
+import { buttonVariants } from "@/components/ui/button";
+import { cn } from "@/lib/cn";
+import {
+  formatReviewInterval,
+  getReviewCardKey,
+  isReviewDue,
+  recordReview,
+  REVIEW_RATING_LABELS,
+  REVIEW_RATINGS,
+  scheduleReview,
+  toReviewDay,
+  type ReviewCardState,
+} from "@/lib/spaced-repetition";
+import { useReviewSchedule } from "@/lib/use-review-schedule";
 
 type ActiveRecallItem = {
   question: string;
@@ -17,28 +33,107 @@ type ActiveRecallQuizProps = {
   items: ActiveRecallItem[];
 };
 
+function ReviewStatusBadge({ state, today }: { state?: ReviewCardState; today: string }) {
+  if (!state) {
+    return (
+      <span className="ms-2 shrink-0 rounded-full border border-fd-border px-2 py-0.5 text-xs font-normal text-fd-muted-foreground">
+        New
+      </span>
+    );
+  }
+
+  if (isReviewDue(state, today)) {
+    return (
+      <span className="ms-2 shrink-0 rounded-full bg-fd-primary/10 px-2 py-0.5 text-xs font-normal text-fd-primary">
+        Due
+      </span>
+    );
+  }
+
+  return (
+    <span className="ms-2 shrink-0 text-xs font-normal text-fd-muted-foreground">
+      {state.due}
+    </span>
+  );
+}
+
 export function ActiveRecallQuiz({
   title = "Active Recall",
   items,
 }: ActiveRecallQuizProps) {
+  const pathname = usePathname();
+  const schedule = useReviewSchedule();
+  const [openItem, setOpenItem] = useState("");
+  const today = toReviewDay();
+
+  const cards = items.map((item) => {
+    const key = getReviewCardKey(pathname, item.question);
+    return { ...item, key, state: schedule[key] };
+  });
+  const dueHere = cards.filter((card) => isReviewDue(card.state, today)).length;
+  const newHere = cards.filter((card) => !card.state).length;
+  const dueEverywhere = Object.values(schedule).filter((state) =>
+    isReviewDue(state, today),
+  ).length;
+
   return (
     <section className="my-6 rounded-xl border border-fd-border bg-fd-card p-4">
       <h3 className="text-lg font-semibold">{title}</h3>
+      <p className="mt-1 text-xs text-fd-muted-foreground">
+        {dueHere} due today · {newHere} new
+        {dueEverywhere > dueHere ? ` · ${dueEverywhere} due across all pages` : ""}
+      </p>
 
-      <Accordion type="single" collapsible className="mt-4">
-        {items.map((item, index) => {
+      <Accordion
+        type="single"
+        collapsible
+        value={openItem}
+        onValueChange={setOpenItem}
+        className="mt-4"
+      >
+        {cards.map((card, index) => {
           return (
             <AccordionItem
-              key={`${index}-${item.question}`}
+              key={`${index}-${card.question}`}
               value={`active-recall-item-${index}`}
             >
               <AccordionTrigger className="text-sm font-medium">
-                {index + 1}. {item.question}
+                <span className="flex-1">
+                  {index + 1}. {card.question}
+                </span>
+                <ReviewStatusBadge state={card.state} today={today} />
               </AccordionTrigger>
               <AccordionContent className="px-3 pb-3">
                 <p className="whitespace-pre-wrap text-sm text-fd-muted-foreground">
-                  {item.markscheme}
+                  {card.markscheme}
                 </p>
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-fd-muted-foreground">
+                    How well did you recall this?
+                  </span>
+                  {REVIEW_RATINGS.map((rating) => (
+                    <button
+                      key={rating}
+                      type="button"
+                      className={cn(
+                        buttonVariants({
+                          color: rating === "again" ? "outline" : "secondary",
+                          size: "sm",
+                          className: "gap-1.5",
+                        }),
+                      )}
+                      onClick={() => {
+                        recordReview(card.key, rating);
+                        setOpenItem("");
+                      }}
+                    >
+                      {REVIEW_RATING_LABELS[rating]}
+                      <span className="text-xs text-fd-muted-foreground">
+                        {formatReviewInterval(scheduleReview(card.state, rating).interval)}
+                      </span>
+                    </button>
+                  ))}
+                </div>
               </AccordionContent>
             </AccordionItem>
           );
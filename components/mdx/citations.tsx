@@ -1,14 +1,61 @@
+"use client";
+
+import {
+  createContext,
+  type PointerEvent,
+  type ReactNode,
+  use,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import {
+  BookOpen,
+  ClipboardList,
+  FileText,
+  Globe,
+  Link2,
+  NotebookPen,
+  Presentation,
+  ScrollText,
+  type LucideIcon,
+} from "lucide-react";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  getReferenceHref,
+  REFERENCE_SOURCE_TYPE_LABELS,
+  type ReferenceItem,
+  type ReferenceSourceType,
+  toReferenceSourceType,
+} from "@/lib/mdx/reference-metadata";
+import type { CitationNumbering, UnifiedReferenceItem } from "@/lib/page-citations";
+
+export type { ReferenceItem };
+
 type CiteProps = {
   n: number | string;
-};
-
-export type ReferenceItem = {
-  n: number;
-  source: string;
+  sources?: ReferenceItem[] | string;
+  scope?: string;
 };
 
 type ReferencesProps = {
   items?: ReferenceItem[] | string;
+  scope?: string;
+};
+
+const CitationNumberingContext = createContext<CitationNumbering | null>(null);
+
+const HOVER_CLOSE_DELAY_MS = 150;
+
+const SOURCE_TYPE_ICONS: Record<ReferenceSourceType, LucideIcon> = {
+  guideline: ScrollText,
+  textbook: BookOpen,
+  article: FileText,
+  website: Globe,
+  "senior-note": NotebookPen,
+  slides: Presentation,
+  handout: ClipboardList,
+  other: Link2,
 };
 
 function toCitationNumber(value: number | string): number {
@@ -19,6 +66,20 @@ function toCitationNumber(value: number | string): number {
   return parsed;
 }
 
+function toCitationNumbers(value: number | string): number[] {
+  if (typeof value === "number") {
+    return [toCitationNumber(value)];
+  }
+
+  const numbers = value
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(toCitationNumber);
+
+  return numbers.length > 0 ? numbers : [1];
+}
+
 function normalizeReferenceItems(items: ReferencesProps["items"]): ReferenceItem[] {
   if (!items) {
     return [];
@@ -40,53 +101,252 @@ function normalizeReferenceItems(items: ReferencesProps["items"]): ReferenceItem
   }
 
   return raw
-    .map((item) => {
+    .map((item): ReferenceItem | null => {
       if (!item || typeof item !== "object") {
         return null;
       }
 
-      const n = Number.parseInt(String((item as { n?: unknown }).n ?? ""), 10);
-      const source = String((item as { source?: unknown }).source ?? "").trim();
+      const record = item as Record<string, unknown>;
+      const n = Number.parseInt(String(record.n ?? ""), 10);
+      const source = String(record.source ?? "").trim();
       if (!Number.isFinite(n) || n < 1 || !source) {
         return null;
       }
 
-      return { n, source };
+      const type =
+        typeof record.type === "string" ? toReferenceSourceType(record.type) : undefined;
+      const optionalString = (value: unknown) =>
+        typeof value === "string" && value.trim() ? value.trim() : undefined;
+
+      return {
+        n,
+        source,
+        type,
+        url: optionalString(record.url),
+        doi: optionalString(record.doi),
+        pages: optionalString(record.pages),
+        licence: optionalString(record.licence),
+      };
     })
     .filter((item): item is ReferenceItem => item !== null)
     .sort((a, b) => a.n - b.n);
 }
 
-export function Cite({ n }: CiteProps) {
-  const number = toCitationNumber(n);
+function ReferenceEntry({ item, display }: { item: ReferenceItem; display: number }) {
+  const Icon = SOURCE_TYPE_ICONS[item.type ?? "other"];
+  const href = getReferenceHref(item);
+  const details = [
+    item.pages ? `pp. ${item.pages}` : null,
+    item.doi ? `doi:${item.doi}` : null,
+    item.licence ? `Licence: ${item.licence}` : null,
+  ].filter(Boolean);
+
+  return (
+    <>
+      <span className="citation-marker">[{display}]</span>{" "}
+      <Icon
+        className="citation-type-icon"
+        aria-label={REFERENCE_SOURCE_TYPE_LABELS[item.type ?? "other"]}
+      />{" "}
+      {href ? (
+        <a href={href} target="_blank" rel="noreferrer noopener" className="citation-source">
+          {item.source}
+        </a>
+      ) : (
+        <span className="citation-source">{item.source}</span>
+      )}
+      {details.length > 0 ? (
+        <span className="citation-details">{details.join(" · ")}</span>
+      ) : null}
+    </>
+  );
+}
+
+function getReferenceAnchorId(scope: string | undefined, n: number): string {
+  return scope ? `ref-${scope}-${n}` : `ref-${n}`;
+}
+
+/**
+ * Maps a fragment-local citation number to the page-wide number when the page
+ * uses unified references, and picks the anchor the citation should jump to.
+ */
+function useCitationResolver(scope: string | undefined) {
+  const numbering = use(CitationNumberingContext);
+  const scopeNumbering = scope ? numbering?.[scope] : undefined;
+
+  return (n: number) => {
+    const unified = scopeNumbering?.[n];
+    return unified === undefined
+      ? { display: n, anchorId: getReferenceAnchorId(scope, n) }
+      : { display: unified, anchorId: `ref-all-${unified}` };
+  };
+}
+
+/**
+ * Renumbers every `Cite` and `References` below it using page-wide numbers
+ * built by `getPageCitationIndex`.
+ */
+export function UnifiedCitations({
+  numbering,
+  children,
+}: {
+  numbering: CitationNumbering;
+  children?: ReactNode;
+}) {
+  return <CitationNumberingContext value={numbering}>{children}</CitationNumberingContext>;
+}
+
+function CiteLinks({
+  numbers,
+  resolve,
+}: {
+  numbers: number[];
+  resolve: ReturnType<typeof useCitationResolver>;
+}) {
+  return (
+    <sup className="citation-sup">
+      {numbers.map((number) => {
+        const { display, anchorId } = resolve(number);
+
+        return (
+          <a
+            key={number}
+            href={`#${anchorId}`}
+            className="citation-link"
+            aria-label={`Jump to reference ${display}`}
+          >
+            [{display}]
+          </a>
+        );
+      })}
+    </sup>
+  );
+}
+
+export function Cite({ n, sources, scope }: CiteProps) {
+  const numbers = toCitationNumbers(n);
+  const references = normalizeReferenceItems(sources);
+  const resolve = useCitationResolver(scope);
+  const [open, setOpen] = useState(false);
+  const openedByHover = useRef(false);
+  const closeTimer = useRef<number | undefined>(undefined);
+
+  useEffect(() => () => window.clearTimeout(closeTimer.current), []);
+
+  if (references.length === 0) {
+    return <CiteLinks numbers={numbers} resolve={resolve} />;
+  }
+
+  const displayNumbers = numbers.map((number) => resolve(number).display);
+  const label = displayNumbers.map((number) => `[${number}]`).join("");
+  const referenceByNumber = new Map(references.map((item) => [item.n, item]));
+
+  // Touch and pen input fall through to the trigger's click toggle.
+  const onPointerEnter = (event: PointerEvent) => {
+    if (event.pointerType !== "mouse") return;
+    window.clearTimeout(closeTimer.current);
+    if (!open) {
+      openedByHover.current = true;
+      setOpen(true);
+    }
+  };
+  const onPointerLeave = (event: PointerEvent) => {
+    if (event.pointerType !== "mouse" || !openedByHover.current) return;
+    closeTimer.current = window.setTimeout(() => {
+      openedByHover.current = false;
+      setOpen(false);
+    }, HOVER_CLOSE_DELAY_MS);
+  };
 
   return (
     <sup className="citation-sup">
-      <a
-        href={`#ref-${number}`}
-        className="citation-link"
-        aria-label={`Jump to reference ${number}`}
+      <Popover
+        open={open}
+        onOpenChange={(value) => {
+          openedByHover.current = false;
+          setOpen(value);
+        }}
       >
-        [{number}]
-      </a>
+        <PopoverTrigger
+          className="citation-link citation-trigger"
+          aria-label={`Show reference${numbers.length > 1 ? "s" : ""} ${displayNumbers.join(", ")}`}
+          onPointerEnter={onPointerEnter}
+          onPointerLeave={onPointerLeave}
+          onClick={(event) => {
+            // A click after a hover preview pins it open instead of toggling it shut.
+            if (openedByHover.current) {
+              openedByHover.current = false;
+              event.preventDefault();
+            }
+          }}
+        >
+          {label}
+        </PopoverTrigger>
+        <PopoverContent
+          align="start"
+          className="citation-preview"
+          onOpenAutoFocus={(event) => event.preventDefault()}
+          onPointerEnter={onPointerEnter}
+          onPointerLeave={onPointerLeave}
+        >
+          <ol className="citation-preview-list">
+            {numbers.map((number) => {
+              const item = referenceByNumber.get(number);
+              const { display, anchorId } = resolve(number);
+
+              return (
+                <li key={number} className="citation-preview-item">
+                  {item ? (
+                    <ReferenceEntry item={item} display={display} />
+                  ) : (
+                    <>
+                      <span className="citation-marker">[{display}]</span>{" "}
+                      <span className="citation-source">
+                        Reference not listed in this section.
+                      </span>
+                    </>
+                  )}{" "}
+                  {item ? (
+                    <a
+                      href={`#${anchorId}`}
+                      className="citation-preview-jump"
+                      onClick={() => setOpen(false)}
+                    >
+                      Jump
+                    </a>
+                  ) : null}
+                </li>
+              );
+            })}
+          </ol>
+        </PopoverContent>
+      </Popover>
     </sup>
   );
 }
 
-export function References({ items }: ReferencesProps) {
+export function References({ items, scope }: ReferencesProps) {
+  const resolve = useCitationResolver(scope);
   const normalizedItems = normalizeReferenceItems(items);
   if (normalizedItems.length === 0) {
     return null;
   }
 
+  const displayItems = normalizedItems
+    .map((item) => ({ ...item, display: resolve(item.n).display }))
+    .sort((a, b) => a.display - b.display);
+
   return (
     <section className="citation-references" aria-label="References">
       <h2>References</h2>
       <ol className="citation-list">
-        {normalizedItems.map((item) => (
-          <li key={`${item.n}-${item.source}`} id={`ref-${item.n}`} className="citation-item">
-            <span className="citation-marker">[{item.n}]</span>{" "}
-            <span className="citation-source">{item.source}</span>
+        {displayItems.map((item) => (
+          <li
+            key={`${item.n}-${item.source}`}
+            id={getReferenceAnchorId(scope, item.n)}
+            className="citation-item"
+          >
+            <ReferenceEntry item={item} display={item.display} />
           </li>
         ))}
       </ol>
@@ -94,3 +354,27 @@ export function References({ items }: ReferencesProps) {
   );
 }
 
+/**
+ * Page-wide "All sources" panel for pages that use unified references.
+ */
+export function AllSources({ items }: { items: UnifiedReferenceItem[] }) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="citation-references" aria-label="All sources">
+      <h2>All sources</h2>
+      <ol className="citation-list">
+        {items.map((item) => (
+          <li key={item.n} id={`ref-all-${item.n}`} className="citation-item">
+            <ReferenceEntry item={item} display={item.n} />
+            <span className="citation-origins">
+              {item.origins.map((origin) => `${origin.label} [${origin.n}]`).join(" · ")}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
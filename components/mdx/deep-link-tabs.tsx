@@ -0,0 +1,101 @@
+"use client";
+
+import { Tabs as BaseTabs } from "fumadocs-ui/components/tabs";
+import { type ComponentProps, useEffect, useRef, useState } from "react";
+import {
+  REVEAL_FRAGMENT_HEADING_EVENT,
+  type RevealFragmentHeadingDetail,
+} from "@/lib/fragment-dropdown-events";
+import { FRAGMENT_TAB_PARAM } from "@/lib/fragment-tabs";
+
+type TabDeepLink = {
+  tab: string;
+  headingId: string | null;
+  /** Bumped per deep link so the tabs remount with the linked default. */
+  count: number;
+};
+
+// Mirrors fumadocs' tab value escaping, so `?tab=` matches `Tab` values.
+function toTabValue(item: string): string {
+  return item.toLowerCase().replace(/\s/, "-");
+}
+
+function scrollAfterReveal(target: HTMLElement): () => void {
+  let frame = window.requestAnimationFrame(() => {
+    // Wait one more frame so sections opened by the reveal event have rendered.
+    frame = window.requestAnimationFrame(() => {
+      target.scrollIntoView({ block: "start" });
+    });
+  });
+
+  return () => window.cancelAnimationFrame(frame);
+}
+
+/**
+ * fumadocs `Tabs` that honours `?tab=<value>#<heading>` deep links (see
+ * `toFragmentDeepLink`): selects the tab, opens the collapsed sections around
+ * the heading and scrolls to it. fumadocs tabs are uncontrolled, so a deep
+ * link remounts them with the linked tab as the default.
+ */
+export function DeepLinkTabs({
+  items,
+  defaultIndex = 0,
+  defaultValue = items?.[defaultIndex] ? toTabValue(items[defaultIndex]) : undefined,
+  ...props
+}: ComponentProps<typeof BaseTabs>) {
+  const rootRef = useRef<HTMLDivElement>(null);
+  const [deepLink, setDeepLink] = useState<TabDeepLink | null>(null);
+  // MDX passes a fresh `items` array on every render; depend on its contents.
+  const tabValues = items?.map(toTabValue).join("\n") ?? "";
+
+  useEffect(() => {
+    let count = 0;
+    const readDeepLink = () => {
+      const tab = new URLSearchParams(window.location.search).get(FRAGMENT_TAB_PARAM);
+      if (!tab || !tabValues.split("\n").includes(tab)) return;
+
+      const headingId = decodeURIComponent(window.location.hash.replace(/^#/, ""));
+      count += 1;
+      setDeepLink({ tab, headingId: headingId || null, count });
+    };
+
+    readDeepLink();
+    window.addEventListener("hashchange", readDeepLink);
+    window.addEventListener("popstate", readDeepLink);
+
+    return () => {
+      window.removeEventListener("hashchange", readDeepLink);
+      window.removeEventListener("popstate", readDeepLink);
+    };
+  }, [tabValues]);
+
+  useEffect(() => {
+    const root = rootRef.current;
+    if (!deepLink || !root) return;
+
+    const panel = root.querySelector<HTMLElement>('[role="tabpanel"][data-state="active"]');
+    const heading = deepLink.headingId
+      ? panel?.querySelector<HTMLElement>(`#${CSS.escape(deepLink.headingId)}`)
+      : null;
+    if (heading) {
+      window.dispatchEvent(
+        new CustomEvent<RevealFragmentHeadingDetail>(REVEAL_FRAGMENT_HEADING_EVENT, {
+          detail: { element: heading },
+        }),
+      );
+    }
+
+    return scrollAfterReveal(heading ?? root);
+  }, [deepLink]);
+
+  return (
+    <BaseTabs
+      key={deepLink?.count ?? 0}
+      ref={rootRef}
+      items={items}
+      defaultIndex={defaultIndex}
+      defaultValue={deepLink?.tab ?? defaultValue}
+      {...props}
+    />
+  );
+}
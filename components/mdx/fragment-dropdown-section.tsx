@@ -16,6 +16,8 @@ import { cn } from "@/lib/cn";
 import {
   COLLAPSE_ALL_FRAGMENT_DROPDOWNS_EVENT,
   EXPAND_ALL_FRAGMENT_DROPDOWNS_EVENT,
+  REVEAL_FRAGMENT_HEADING_EVENT,
+  type RevealFragmentHeadingDetail,
 } from "@/lib/fragment-dropdown-events";
 
 type HeadingProps = {
@@ -186,11 +188,20 @@ export function FragmentDropdownSection({
     const collapseAllSections = () => {
       setOpen(false);
     };
+    // Deep links name a heading inside one tab, where a plain hash lookup
+    // could match a heading with the same id in another tab.
+    const revealHeading = (event: Event) => {
+      const { element } = (event as CustomEvent<RevealFragmentHeadingDetail>).detail;
+      if (sectionRef.current?.contains(element)) {
+        setOpen(true);
+      }
+    };
     window.addEventListener(EXPAND_ALL_FRAGMENT_DROPDOWNS_EVENT, expandAllSections);
     window.addEventListener(
       COLLAPSE_ALL_FRAGMENT_DROPDOWNS_EVENT,
       collapseAllSections,
     );
+    window.addEventListener(REVEAL_FRAGMENT_HEADING_EVENT, revealHeading);
 
     return () => {
       window.removeEventListener("hashchange", syncOpenStateFromHash);
@@ -202,6 +213,7 @@ export function FragmentDropdownSection({
         COLLAPSE_ALL_FRAGMENT_DROPDOWNS_EVENT,
         collapseAllSections,
       );
+      window.removeEventListener(REVEAL_FRAGMENT_HEADING_EVENT, revealHeading);
     };
   }, [hasCollapsibleSection]);
 
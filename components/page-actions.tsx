@@ -1,6 +1,6 @@
 'use client';
 import { useEffect, useMemo, useState } from 'react';
-import { Check, ChevronDown, Copy, ExternalLinkIcon } from 'lucide-react';
+import { Check, ChevronDown, Copy, Download, ExternalLinkIcon } from 'lucide-react';
 import { cn } from '../lib/cn';
 import {
   COLLAPSE_ALL_FRAGMENT_DROPDOWNS_EVENT,
@@ -124,10 +124,18 @@ const optionVariants = cva(
   'text-sm p-2 rounded-lg inline-flex items-center gap-2 hover:text-fd-accent-foreground hover:bg-fd-accent [&_svg]:size-4',
 );
 
+const referenceExportFormats = [
+  { format: 'bibtex', label: 'BibTeX' },
+  { format: 'ris', label: 'RIS' },
+  { format: 'csl-json', label: 'CSL-JSON' },
+] as const;
+
 export function ViewOptions({
   markdownUrl,
   githubUrl,
   fragmentGithubUrls,
+  referencesUrl,
+  ankiUrl,
 }: {
   /**
    * A URL to the raw Markdown/MDX content of page
@@ -143,6 +151,16 @@ export function ViewOptions({
    * Optional source file URLs for tab-based fragment sections.
    */
   fragmentGithubUrls?: Partial<Record<FragmentTabKey, string>>;
+
+  /**
+   * A URL exporting the page's references, taking a `format` query param
+   */
+  referencesUrl?: string;
+
+  /**
+   * A URL downloading the page's active recall questions as an Anki import file
+   */
+  ankiUrl?: string;
 }) {
   const [resolvedGithubUrl, setResolvedGithubUrl] = useState(githubUrl);
 
@@ -252,6 +270,30 @@ export function ViewOptions({
             <ExternalLinkIcon className="text-fd-muted-foreground size-3.5 ms-auto" />
           </a>
         ))}
+        {referencesUrl ? (
+          <div className={cn(optionVariants(), 'hover:bg-transparent hover:text-current')}>
+            <Download />
+            Export references
+            <span className="ms-auto inline-flex gap-1">
+              {referenceExportFormats.map(({ format, label }) => (
+                <a
+                  key={format}
+                  href={`${referencesUrl}?${new URLSearchParams({ format })}`}
+                  download
+                  className="rounded-md px-1.5 py-0.5 text-xs text-fd-muted-foreground hover:bg-fd-accent hover:text-fd-accent-foreground"
+                >
+                  {label}
+                </a>
+              ))}
+            </span>
+          </div>
+        ) : null}
+        {ankiUrl ? (
+          <a href={ankiUrl} download className={cn(optionVariants())}>
+            <Download />
+            Export Anki cards
+          </a>
+        ) : null}
       </PopoverContent>
     </Popover>
   );
@@ -0,0 +1,212 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import Link from "next/link";
+import { Shuffle } from "lucide-react";
+import { FacetChips, toggleFacetValue, type FacetOption } from "@/components/facet-chips";
+import { buttonVariants } from "@/components/ui/button";
+import type { ReviewItem } from "@/lib/active-recall-items";
+import { cn } from "@/lib/cn";
+import {
+  formatReviewInterval,
+  recordReview,
+  REVIEW_RATING_LABELS,
+  REVIEW_RATINGS,
+  scheduleReview,
+  toReviewDay,
+  type ReviewRating,
+} from "@/lib/spaced-repetition";
+import { shuffle, useReviewItems } from "@/lib/use-review-items";
+import { useReviewSchedule } from "@/lib/use-review-schedule";
+
+export type ReviewFacet = FacetOption;
+
+type ReviewSessionProps = {
+  /** Static JSON list of every review item, fetched on mount. */
+  itemsUrl: string;
+  total: number;
+  specialties: ReviewFacet[];
+  tabs: ReviewFacet[];
+};
+
+function getTabFacetValue(item: ReviewItem): string {
+  return item.tab ?? item.tabLabel;
+}
+
+export function ReviewSession({ itemsUrl, total, specialties, tabs }: ReviewSessionProps) {
+  const schedule = useReviewSchedule();
+  const { items, error } = useReviewItems(itemsUrl);
+  const [selectedSpecialties, setSelectedSpecialties] = useState<string[]>([]);
+  const [selectedTabs, setSelectedTabs] = useState<string[]>([]);
+  const [dueOnly, setDueOnly] = useState(false);
+  const [session, setSession] = useState<ReviewItem[] | null>(null);
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [ratings, setRatings] = useState<Record<ReviewRating, number>>({
+    again: 0,
+    hard: 0,
+    good: 0,
+    easy: 0,
+  });
+
+  const today = toReviewDay();
+  const filtered = useMemo(() => {
+    return (items ?? []).filter((item) => {
+      if (selectedSpecialties.length > 0 && !selectedSpecialties.includes(item.specialty)) {
+        return false;
+      }
+      if (selectedTabs.length > 0 && !selectedTabs.includes(getTabFacetValue(item))) {
+        return false;
+      }
+      if (dueOnly) {
+        const state = schedule[item.key];
+        return !state || state.due <= today;
+      }
+      return true;
+    });
+  }, [dueOnly, items, schedule, selectedSpecialties, selectedTabs, today]);
+
+  const startSession = () => {
+    setSession(shuffle(filtered));
+    setPosition(0);
+    setRevealed(false);
+    setRatings({ again: 0, hard: 0, good: 0, easy: 0 });
+  };
+
+  const rate = (item: ReviewItem, rating: ReviewRating) => {
+    recordReview(item.key, rating);
+    setRatings((current) => ({ ...current, [rating]: current[rating] + 1 }));
+    setPosition((current) => current + 1);
+    setRevealed(false);
+  };
+
+  if (session) {
+    const current = session[position];
+
+    if (!current) {
+      return (
+        <div className="not-prose rounded-xl border border-fd-border bg-fd-card p-4">
+          <p className="font-semibold">Session complete</p>
+          <p className="mt-1 text-sm text-fd-muted-foreground">
+            {session.length} cards reviewed ·{" "}
+            {REVIEW_RATINGS.map(
+              (rating) => `${REVIEW_RATING_LABELS[rating]} ${ratings[rating]}`,
+            ).join(" · ")}
+          </p>
+          <button
+            type="button"
+            className={cn(buttonVariants({ color: "secondary", size: "sm", className: "mt-4" }))}
+            onClick={() => setSession(null)}
+          >
+            Back to filters
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="not-prose rounded-xl border border-fd-border bg-fd-card p-4">
+        <div className="flex items-center justify-between gap-2 text-xs text-fd-muted-foreground">
+          <span>
+            {position + 1} / {session.length}
+          </span>
+          <button
+            type="button"
+            className="hover:text-fd-accent-foreground"
+            onClick={() => setSession(null)}
+          >
+            End session
+          </button>
+        </div>
+        <p className="mt-3 text-xs text-fd-muted-foreground">
+          <Link href={current.pageUrl} className="underline underline-offset-2">
+            {current.pageTitle}
+          </Link>{" "}
+          · {current.tabLabel}
+        </p>
+        <p className="mt-2 font-medium">{current.question}</p>
+
+        {revealed ? (
+          <>
+            <p className="mt-3 whitespace-pre-wrap text-sm text-fd-muted-foreground">
+              {current.markscheme}
+            </p>
+            <div className="mt-4 flex flex-wrap gap-2">
+              {REVIEW_RATINGS.map((rating) => (
+                <button
+                  key={rating}
+                  type="button"
+                  className={cn(
+                    buttonVariants({
+                      color: rating === "again" ? "outline" : "secondary",
+                      size: "sm",
+                      className: "gap-1.5",
+                    }),
+                  )}
+                  onClick={() => rate(current, rating)}
+                >
+                  {REVIEW_RATING_LABELS[rating]}
+                  <span className="text-xs text-fd-muted-foreground">
+                    {formatReviewInterval(scheduleReview(schedule[current.key], rating).interval)}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <button
+            type="button"
+            className={cn(buttonVariants({ color: "primary", size: "sm", className: "mt-4" }))}
+            onClick={() => setRevealed(true)}
+          >
+            Show markscheme
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="not-prose flex flex-col gap-3 rounded-xl border border-fd-border bg-fd-card p-4">
+      <FacetChips
+        label="Specialty"
+        facets={specialties}
+        selected={selectedSpecialties}
+        onToggle={(value) => setSelectedSpecialties((current) => toggleFacetValue(current, value))}
+      />
+      <FacetChips
+        label="Tab"
+        facets={tabs}
+        selected={selectedTabs}
+        onToggle={(value) => setSelectedTabs((current) => toggleFacetValue(current, value))}
+      />
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={dueOnly}
+          onChange={(event) => setDueOnly(event.target.checked)}
+        />
+        Only cards due today or not yet reviewed
+      </label>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          disabled={!items || filtered.length === 0}
+          className={cn(buttonVariants({ color: "primary", size: "sm", className: "gap-1.5" }))}
+          onClick={startSession}
+        >
+          <Shuffle className="size-3.5" />
+          Start shuffled session
+        </button>
+        <span className="text-xs text-fd-muted-foreground">
+          {error
+            ? error
+            : items
+              ? `${filtered.length} of ${items.length} cards selected`
+              : `Loading ${total} cards…`}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -11,31 +11,134 @@ import {
   SearchDialogOverlay,
   type SharedProps,
 } from "fumadocs-ui/components/dialog/search";
-import { useDocsSearch } from "fumadocs-core/search/client";
 import { useI18n } from "fumadocs-ui/contexts/i18n";
+import { useState, type ReactNode } from "react";
+import { FacetChips, toggleFacetValue } from "@/components/facet-chips";
+import {
+  hasSearchFacetFilters,
+  SEARCH_FACET_KEYS,
+  type SearchFacetKey,
+} from "@/lib/search/facets";
+import { toHighlightedText, type SearchResultWithMatches } from "@/lib/search/snippet";
+import { useFacetedSearch } from "@/lib/use-faceted-search";
+import { useSearchSuggestions } from "@/lib/use-search-suggestions";
+
+const FACET_LABELS: Record<SearchFacetKey, string> = {
+  specialty: "Specialty",
+  subgroup: "Subspecialty",
+  tab: "Tab",
+};
+
+// Heading and text hits shown under each page before "More from this page".
+const PAGE_SUB_HIT_LIMIT = 3;
+
+type PageGroupItem =
+  | (Omit<SearchResultWithMatches, "matches"> & {
+      contentWithHighlights?: ReturnType<typeof toHighlightedText>;
+    })
+  | { id: string; type: "action"; node: ReactNode; onSelect: () => void };
+
+/**
+ * Results arrive grouped, each page followed by its sub-hits. Shows the first
+ * few sub-hits of each page and an expander for the rest.
+ */
+function capPageGroups(
+  results: SearchResultWithMatches[],
+  expandedUrls: string[],
+  onExpand: (url: string) => void,
+): PageGroupItem[] {
+  const items: PageGroupItem[] = [];
+  let pageUrl = "";
+  let hidden = 0;
+
+  const flushExpander = () => {
+    if (hidden === 0) return;
+    const url = pageUrl;
+    items.push({
+      id: `more:${url}`,
+      type: "action",
+      node: (
+        <span className="ps-4 text-xs text-fd-muted-foreground">
+          More from this page ({hidden})
+        </span>
+      ),
+      onSelect: () => onExpand(url),
+    });
+    hidden = 0;
+  };
+
+  let shown = 0;
+  for (const { matches, ...result } of results) {
+    if (result.type === "page") {
+      flushExpander();
+      pageUrl = result.url;
+      shown = 0;
+    } else if (shown >= PAGE_SUB_HIT_LIMIT && !expandedUrls.includes(pageUrl)) {
+      hidden += 1;
+      continue;
+    } else {
+      shown += 1;
+    }
+
+    items.push(
+      matches && matches.length > 0 && typeof result.content === "string"
+        ? { ...result, contentWithHighlights: toHighlightedText(result.content, matches) }
+        : result,
+    );
+  }
+  flushExpander();
+
+  return items;
+}
 
 export default function DocsSearchDialog(props: SharedProps) {
   const { locale } = useI18n();
-  const { search, setSearch, query } = useDocsSearch({
-    type: "fetch",
-    api: "/api/search",
-    locale,
-    delayMs: 30,
+  const { search, setSearch, filters, setFilters, data, error, isLoading } =
+    useFacetedSearch({
+      api: "/api/search",
+      locale,
+      delayMs: 30,
+    });
+
+  const suggestions = useSearchSuggestions({ api: "/api/search/suggest", search });
+  const [expanded, setExpanded] = useState<{ search: string; urls: string[] }>({
+    search: "",
+    urls: [],
   });
+  const expandedUrls = expanded.search === search ? expanded.urls : [];
 
+  // Title suggestions arrive first and stay above the semantic hits.
   const listItems =
     search.trim().length === 0
       ? null
-      : query.data !== "empty"
-        ? query.data
-        : [];
+      : [
+          ...suggestions.map((suggestion) => ({
+            id: `suggest:${suggestion.url}`,
+            type: "page" as const,
+            content: suggestion.title,
+            contentWithHighlights: toHighlightedText(suggestion.title, suggestion.matches),
+            breadcrumbs: suggestion.breadcrumbs,
+            url: suggestion.url,
+          })),
+          ...capPageGroups(data?.results ?? [], expandedUrls, (url) =>
+            setExpanded({ search, urls: [...expandedUrls, url] }),
+          ),
+        ];
+  const facetRows = SEARCH_FACET_KEYS.filter(
+    (key) => (data?.facets[key].length ?? 0) > 0,
+  );
+  const hasFilters = hasSearchFacetFilters(filters);
 
   return (
     <SearchDialog
       search={search}
       onSearchChange={setSearch}
-      isLoading={query.isLoading}
+      isLoading={isLoading}
       {...props}
+      onSelect={(item) => {
+        // The dialog closes after every selection; reopen it for expanders.
+        if (item.type === "action" && item.id.startsWith("more:")) props.onOpenChange(true);
+      }}
     >
       <SearchDialogOverlay />
       <SearchDialogContent>
@@ -44,17 +147,45 @@ export default function DocsSearchDialog(props: SharedProps) {
           <SearchDialogInput />
           <SearchDialogClose />
         </SearchDialogHeader>
-        {query.isLoading && (
+        {data && facetRows.length > 0 && (
+          <div className="flex flex-col gap-1.5 border-b px-3 py-2">
+            {facetRows.map((key) => (
+              <FacetChips
+                key={key}
+                label={FACET_LABELS[key]}
+                facets={data.facets[key]}
+                selected={filters[key] ?? []}
+                onToggle={(value) =>
+                  setFilters((current) => ({
+                    ...current,
+                    [key]: toggleFacetValue(current[key] ?? [], value),
+                  }))
+                }
+                className="gap-1.5"
+              />
+            ))}
+            {hasFilters && (
+              <button
+                type="button"
+                className="self-start text-xs text-fd-muted-foreground underline underline-offset-2 hover:text-fd-accent-foreground"
+                onClick={() => setFilters({})}
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+        {isLoading && (
           <div className="flex items-center gap-2 px-3 py-2 text-xs text-fd-muted-foreground">
             <span className="inline-block h-3 w-3 animate-spin rounded-full border border-current border-t-transparent" />
             Searching...
           </div>
         )}
         <SearchDialogList items={listItems} />
-        {query.error && (
+        {error && (
           <div className="px-3 pb-2 text-xs text-red-400">
-            Search request failed. Verify <code>MIXEDBREAD_API_KEY</code> and{" "}
-            <code>MIXEDBREAD_STORE_IDENTIFIER</code> on the server.
+            Search request failed. Check the server logs for Mixedbread or local
+            index errors.
           </div>
         )}
       </SearchDialogContent>
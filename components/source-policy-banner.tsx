@@ -0,0 +1,33 @@
+import { Callout } from "fumadocs-ui/components/callout";
+import type { PageSourceCompliance, SourcePolicy } from "@/lib/source-policy";
+
+export function SourcePolicyBanner({
+  sourcePolicy,
+  compliance,
+}: {
+  sourcePolicy?: SourcePolicy;
+  compliance: PageSourceCompliance;
+}) {
+  const isMarked = sourcePolicy === "restricted-derived";
+  if (!isMarked && compliance.prohibitedTotal === 0) {
+    return null;
+  }
+
+  return (
+    <Callout type="warn" title="Restricted-derived content" className="not-prose">
+      <p>
+        Parts of this page are derived from sources that the project&apos;s source
+        policy does not allow in public content. Verify claims against permitted
+        public sources before relying on them.
+      </p>
+      {compliance.prohibited.length > 0 ? (
+        <p className="mt-1 text-fd-muted-foreground">
+          Flagged references:{" "}
+          {compliance.prohibited
+            .map((item) => `${item.label} (${item.count})`)
+            .join(", ")}
+        </p>
+      ) : null}
+    </Callout>
+  );
+}
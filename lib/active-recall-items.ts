@@ -0,0 +1,69 @@
+import {
+  FRAGMENT_TAB_LABELS,
+  getFragmentPathParts,
+  toFragmentTabKey,
+  type FragmentTabKey,
+} from "@/lib/fragment-tabs";
+import { getImportedMdxFilesForPage } from "@/lib/mdx-imports";
+import { humanizeSlug } from "@/lib/mixedbread/chunk-utils";
+import { source } from "@/lib/source";
+import { getReviewCardKey } from "@/lib/spaced-repetition";
+import { extractActiveRecallQuizzes } from "@/lib/active-recall";
+
+export type ReviewItem = {
+  /** Same key the on-page quiz uses, so ratings are shared. */
+  key: string;
+  question: string;
+  markscheme: string;
+  pageUrl: string;
+  pageTitle: string;
+  specialty: string;
+  topic: string;
+  tab: FragmentTabKey | null;
+  tabLabel: string;
+  quizTitle?: string;
+};
+
+/**
+ * Every active recall item imported by a docs page, in page and tab order.
+ * Items are de-duplicated by card key, so a fragment shared between pages
+ * is reviewed once per page it appears on.
+ */
+export async function getAllReviewItems(): Promise<ReviewItem[]> {
+  const items: ReviewItem[] = [];
+  const seen = new Set<string>();
+
+  for (const page of source.getPages()) {
+    const files = await getImportedMdxFilesForPage(page.path);
+
+    for (const file of files) {
+      const parts = getFragmentPathParts(file.path);
+      if (!parts) continue;
+
+      const tab = toFragmentTabKey(parts.leaf);
+      for (const quiz of extractActiveRecallQuizzes(file.content)) {
+        for (const item of quiz.items) {
+          const key = getReviewCardKey(page.url, item.question);
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          items.push({
+            key,
+            question: item.question,
+            markscheme: item.markscheme,
+            pageUrl: page.url,
+            pageTitle: page.data.title,
+            specialty: parts.specialty,
+            topic: parts.topic,
+            tab,
+            tabLabel: tab ? FRAGMENT_TAB_LABELS[tab] : humanizeSlug(parts.leaf),
+            quizTitle: quiz.title,
+          });
+        }
+      }
+    }
+  }
+
+  return items;
+}
+
@@ -0,0 +1,78 @@
+export type ActiveRecallItem = {
+  question: string;
+  markscheme: string;
+};
+
+export type ActiveRecallQuiz = {
+  title?: string;
+  items: ActiveRecallItem[];
+};
+
+const QUIZ_BLOCK_RE = /<ActiveRecallQuiz\b([\s\S]*?)\/>/g;
+const TITLE_ATTR_RE = /\btitle\s*=\s*("(?:[^"\\]|\\.)*")/;
+const STRING_LITERAL = String.raw`("(?:[^"\\]|\\.)*")`;
+const QUIZ_ITEM_RE = new RegExp(
+  String.raw`question\s*:\s*${STRING_LITERAL}\s*,\s*markscheme\s*:\s*${STRING_LITERAL}`,
+  "g",
+);
+
+function normalizeQuestion(question: string): string {
+  return question.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// FNV-1a keeps card keys short and stable without pulling in a crypto API.
+function hashText(value: string): string {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Cards are keyed by page URL plus normalised question text, so edits to the
+ * markscheme or to neighbouring questions keep their schedule. The same key is
+ * used as the Anki note GUID.
+ */
+export function getActiveRecallCardKey(pageUrl: string, question: string): string {
+  const path = pageUrl.replace(/[?#].*$/, "").replace(/\/+$/, "") || "/";
+  return `${path}#${hashText(normalizeQuestion(question))}`;
+}
+
+function parseStringLiteral(literal: string): string {
+  try {
+    return String(JSON.parse(literal));
+  } catch {
+    // JS-only escapes such as \' are not valid JSON; fall back to the raw text.
+    return literal.slice(1, -1).replace(/\\(.)/g, "$1");
+  }
+}
+
+/**
+ * Reads every `<ActiveRecallQuiz title="..." items={[{ question, markscheme }]} />`
+ * block in raw MDX. Values must be plain double-quoted strings, which is the
+ * shape `scripts/generate-notes.mjs` asks for; items with other keys or value
+ * types are skipped rather than guessed at.
+ */
+export function extractActiveRecallQuizzes(rawMdx: string): ActiveRecallQuiz[] {
+  const quizzes: ActiveRecallQuiz[] = [];
+
+  for (const block of rawMdx.matchAll(QUIZ_BLOCK_RE)) {
+    const attributes = block[1];
+    const titleLiteral = attributes.match(TITLE_ATTR_RE)?.[1];
+    const items = Array.from(attributes.matchAll(QUIZ_ITEM_RE), (match) => ({
+      question: parseStringLiteral(match[1]).trim(),
+      markscheme: parseStringLiteral(match[2]).trim(),
+    })).filter((item) => item.question && item.markscheme);
+
+    if (items.length === 0) continue;
+    quizzes.push({
+      title: titleLiteral ? parseStringLiteral(titleLiteral) : undefined,
+      items,
+    });
+  }
+
+  return quizzes;
+}
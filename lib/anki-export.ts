@@ -0,0 +1,127 @@
+import { extractActiveRecallQuizzes, getActiveRecallCardKey } from "@/lib/active-recall";
+import { getFragmentLabel, getFragmentPathParts } from "@/lib/fragment-tabs";
+import { extractReferenceItems } from "@/lib/page-citations";
+
+/** A docs page and the fragments it imports, in import order. */
+export type AnkiPage = {
+  url: string;
+  title: string;
+  specialtyLabel?: string;
+  files: { path: string; content: string }[];
+};
+
+export type AnkiNote = {
+  guid: string;
+  front: string;
+  back: string;
+  deck: string;
+  tags: string[];
+};
+
+const INLINE_CITATION_RE = /\[(\d+)\]/g;
+
+function toTag(value: string): string {
+  return value.trim().replace(/\s+/g, "_");
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Anki's text importer treats tabs and newlines as field/record separators.
+function toField(html: string): string {
+  return html.replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+}
+
+function getCitedNumbers(text: string): Set<number> {
+  return new Set(Array.from(text.matchAll(INLINE_CITATION_RE), (match) => Number(match[1])));
+}
+
+/**
+ * Turns the quizzes a page imports into Anki notes. Each note's back carries
+ * the fragment's references: the ones the card cites, or the whole list when
+ * the card has no inline markers.
+ */
+export function buildAnkiNotes(
+  pages: AnkiPage[],
+  { siteUrl }: { siteUrl?: string } = {},
+): AnkiNote[] {
+  const notes: AnkiNote[] = [];
+  const seen = new Set<string>();
+
+  for (const page of pages) {
+    for (const file of page.files) {
+      const parts = getFragmentPathParts(file.path);
+      if (!parts) continue;
+
+      const quizzes = extractActiveRecallQuizzes(file.content);
+      if (quizzes.length === 0) continue;
+
+      const references = extractReferenceItems(file.content);
+      const sectionLabel = getFragmentLabel(file.path) ?? parts.leaf;
+
+      for (const quiz of quizzes) {
+        for (const item of quiz.items) {
+          const guid = `mbbspedia:${getActiveRecallCardKey(page.url, item.question)}`;
+          if (seen.has(guid)) continue;
+          seen.add(guid);
+
+          const cited = getCitedNumbers(`${item.question} ${item.markscheme}`);
+          const cardReferences =
+            cited.size > 0 ? references.filter((reference) => cited.has(reference.n)) : references;
+
+          const pageLink = siteUrl
+            ? `<a href="${escapeHtml(new URL(page.url, siteUrl).toString())}">${escapeHtml(page.title)} · ${escapeHtml(sectionLabel)}</a>`
+            : `${escapeHtml(page.title)} · ${escapeHtml(sectionLabel)}`;
+          const referencesHtml =
+            cardReferences.length > 0
+              ? `<hr><small>${cardReferences
+                  .map((reference) => `[${reference.n}] ${escapeHtml(reference.source)}`)
+                  .join("<br>")}</small>`
+              : "";
+
+          notes.push({
+            guid,
+            front: escapeHtml(item.question),
+            back: `${escapeHtml(item.markscheme)}${referencesHtml}<hr><small>${pageLink}</small>`,
+            deck: ["MBBSPedia", page.specialtyLabel ?? parts.specialty, page.title]
+              .map((part) => part.replace(/::/g, ":"))
+              .join("::"),
+            tags: [
+              `specialty::${toTag(parts.specialty)}`,
+              `topic::${toTag(parts.topic)}`,
+              `section::${toTag(parts.leaf)}`,
+            ],
+          });
+        }
+      }
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Anki text import file (File → Import) with file headers, so Anki picks the
+ * note type, deck, tags and GUID column without manual mapping. Re-importing
+ * a file with the same GUIDs updates existing notes instead of duplicating them.
+ */
+export function formatAnkiTsv(notes: AnkiNote[]): string {
+  const header = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    "#guid column:1",
+    "#deck column:4",
+    "#tags column:5",
+  ];
+  const rows = notes.map((note) =>
+    [note.guid, note.front, note.back, note.deck, note.tags.join(" ")].map(toField).join("\t"),
+  );
+
+  return `${[...header, ...rows].join("\n")}\n`;
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { createCitationRepairer, findCitationIssues } from "@/lib/chat/citation-repair";
+
+const sources = [
+  { n: 1, sourceName: "Tokyo Guidelines 2018" },
+  { n: 2, sourceName: "Bailey & Love" },
+];
+
+/** Streams `text` through a repairer in `size`-character deltas. */
+function repair(text: string, size: number) {
+  const repairer = createCitationRepairer({ sources, isWeak: false });
+  let output = "";
+  for (let i = 0; i < text.length; i += size) {
+    output += repairer.push(text.slice(i, i + size));
+  }
+  output += repairer.flush();
+  output += repairer.buildReferences();
+  return { output, report: repairer.report() };
+}
+
+describe("createCitationRepairer", () => {
+  it.each([1, 2, 5, 1000])("gives the same output for %i-character deltas", (size) => {
+    const text = "Charcot's triad [1] and Reynolds' pentad [1, 3].\n";
+    expect(repair(text, size).output).toBe(
+      "Charcot's triad [1] and Reynolds' pentad [1].\n\n\n## References\n\n[1] Tokyo Guidelines 2018\n",
+    );
+  });
+
+  it("removes citations that are not in the citation map", () => {
+    const { output, report } = repair("Give antibiotics [3] early.\n", 4);
+    expect(output).toBe("Give antibiotics early.\n");
+    expect(report.removedCitations).toEqual([3]);
+  });
+
+  it("replaces the model's reference list with one built from the map", () => {
+    const { output, report } = repair(
+      "Drain the bile duct [2].\n\n## References\n\n[2] Some textbook\n- [4] Made up\n",
+      3,
+    );
+    expect(output).toBe("Drain the bile duct [2].\n\n\n\n## References\n\n[2] Bailey & Love\n");
+    expect(report.referencesRebuilt).toBe(true);
+    expect(report.issues).toContain(
+      "reference [2] label mismatch (expected 'Bailey & Love', got 'Some textbook')",
+    );
+  });
+
+  it("keeps the text that follows the model's reference list", () => {
+    const { output } = repair(
+      "Drain the bile duct [2].\n\n## References\n\n[2] Bailey & Love\n\nAsk if anything is unclear [1].\n",
+      2,
+    );
+    expect(output).toBe(
+      "Drain the bile duct [2].\n\nAsk if anything is unclear [1].\n\n\n## References\n\n[1] Tokyo Guidelines 2018\n\n[2] Bailey & Love\n",
+    );
+  });
+
+  it("reports no rebuild when the model's list already matches", () => {
+    const { report } = repair(
+      "Drain the bile duct [2].\n\n## References\n\n[2] Bailey & Love\n",
+      1000,
+    );
+    expect(report).toEqual({ issues: [], removedCitations: [], referencesRebuilt: false });
+  });
+});
+
+describe("findCitationIssues", () => {
+  it("flags a strong context answered without citations", () => {
+    expect(
+      findCitationIssues({ answerText: "No citations here.", sources, isWeak: false }),
+    ).toEqual(["strong retrieval context provided but no inline citations were emitted"]);
+    expect(findCitationIssues({ answerText: "No citations here.", sources, isWeak: true })).toEqual(
+      [],
+    );
+  });
+
+  it("flags inline citations without a references block", () => {
+    expect(findCitationIssues({ answerText: "Fact [1].", sources, isWeak: false })).toEqual([
+      "inline citations are present but references block is missing",
+    ]);
+  });
+
+  it("counts citations in text after the reference list", () => {
+    const answerText = "## References\n\n[1] Tokyo Guidelines 2018\n\nSee also [5].";
+    expect(findCitationIssues({ answerText, sources, isWeak: false })).toEqual([
+      "inline citation [5] is not in citation map",
+    ]);
+  });
+});
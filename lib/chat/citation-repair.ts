@@ -0,0 +1,244 @@
+const REFERENCES_HEADING_RE = /^#{1,6}\s+references\s*$/i;
+// One entry of a References list: "[1] Source", "- [1] Source" or "1. [1] Source".
+const REFERENCE_ITEM_RE = /^(?:[-*+]\s*)?(?:\d+\.\s*)?\[(\d+)\]\s*(.*)$/;
+// What may still become a References entry while it streams: "-", "1.", "[1".
+const PARTIAL_REFERENCE_ITEM_RE = /^(?:[-*+]\s*)?(?:\d+\.?\s*)?(?:\[\d*)?$/;
+// Inline citations such as [2] or [1, 3], with the space before them.
+const CITATION_RE = / ?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// What may still become a citation at the end of the streamed text: "[1",
+// "[1, " or the space before a citation that has not arrived yet.
+const PARTIAL_CITATION_RE = / ?(?:\[[\d,\s]*)?$/;
+const MAX_PARTIAL_CITATION_CHARS = 16;
+
+export type ChatCitationSource = {
+  n: number;
+  sourceName: string;
+};
+
+/** What the repair pass found in one answer and what it changed. */
+export type CitationIntegrityReport = {
+  /** Problems in the model's answer before repair. */
+  issues: string[];
+  /** Citation numbers that were not in the citation map and were removed. */
+  removedCitations: number[];
+  /** The References section differed from the one built from the citation map. */
+  referencesRebuilt: boolean;
+};
+
+/**
+ * Splits an answer into its References list and everything else. The list is
+ * the heading plus the blank and `[n] Source` lines after it; the first other
+ * line ends it, and what follows is body text again.
+ */
+function splitReferencesSection(answerText: string): {
+  body: string;
+  references: Map<number, string>;
+} {
+  const references = new Map<number, string>();
+  const bodyLines: string[] = [];
+  let inReferences = false;
+
+  for (const rawLine of answerText.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (REFERENCES_HEADING_RE.test(line)) {
+      inReferences = true;
+      continue;
+    }
+
+    if (inReferences) {
+      if (!line) continue;
+      const match = line.match(REFERENCE_ITEM_RE);
+      if (match) {
+        const n = Number.parseInt(match[1], 10);
+        if (Number.isFinite(n) && n >= 1 && match[2].trim()) references.set(n, match[2].trim());
+        continue;
+      }
+      inReferences = false;
+    }
+
+    bodyLines.push(rawLine);
+  }
+
+  return { body: bodyLines.join("\n"), references };
+}
+
+/** Problems with the inline citations and References section of an answer. */
+export function findCitationIssues(params: {
+  answerText: string;
+  sources: ChatCitationSource[];
+  isWeak: boolean;
+}): string[] {
+  const sourceByNumber = new Map(params.sources.map((source) => [source.n, source.sourceName]));
+  const { body, references } = splitReferencesSection(params.answerText);
+  const citationMatches = Array.from(body.matchAll(/\[(\d+)\]/g));
+  const inlineNumbers = Array.from(
+    new Set(
+      citationMatches
+        .map((match) => Number.parseInt(match[1], 10))
+        .filter((n) => Number.isFinite(n) && n > 0),
+    ),
+  ).sort((a, b) => a - b);
+  const issues: string[] = [];
+
+  for (const n of inlineNumbers) {
+    if (!sourceByNumber.has(n)) {
+      issues.push(`inline citation [${n}] is not in citation map`);
+    }
+  }
+
+  if (inlineNumbers.length > 0 && references.size === 0) {
+    issues.push("inline citations are present but references block is missing");
+  }
+
+  if (inlineNumbers.length === 0 && references.size > 0) {
+    issues.push("references block is present without inline citations");
+  }
+
+  for (const [n, label] of references.entries()) {
+    const expected = sourceByNumber.get(n);
+    if (!expected) {
+      issues.push(`reference [${n}] is not in citation map`);
+      continue;
+    }
+    if (expected.toLowerCase() !== label.toLowerCase()) {
+      issues.push(`reference [${n}] label mismatch (expected '${expected}', got '${label}')`);
+    }
+  }
+
+  if (!params.isWeak && params.sources.length > 0 && inlineNumbers.length === 0) {
+    issues.push("strong retrieval context provided but no inline citations were emitted");
+  }
+
+  return issues;
+}
+
+/** True while `line` may still grow into a "## References" heading. */
+function couldBeReferencesHeading(line: string): boolean {
+  const match = /^#{1,6}(.*)$/.exec(line);
+  if (!match) return false;
+  const rest = match[1];
+  return rest === "" || (/^\s/.test(rest) && "references".startsWith(rest.trim().toLowerCase()));
+}
+
+/**
+ * Repairs an answer while it streams: citations missing from the citation map
+ * are removed, and the model's References list is replaced by one built from
+ * the map for the citations that remain. Text after the list is kept. Text is
+ * held back only while it could still be a citation, the References heading or
+ * one of its entries.
+ */
+export function createCitationRepairer(params: {
+  sources: ChatCitationSource[];
+  isWeak: boolean;
+}) {
+  const sourceByNumber = new Map(params.sources.map((source) => [source.n, source.sourceName]));
+  const cited = new Set<number>();
+  const removed = new Set<number>();
+  let raw = "";
+  let pending = "";
+  let atLineStart = true;
+  let inReferences = false;
+  let referencesBlock = "";
+
+  function repairCitations(text: string): string {
+    return text.replace(CITATION_RE, (match, numbers: string) => {
+      const kept: number[] = [];
+      for (const value of numbers.split(",")) {
+        const n = Number.parseInt(value, 10);
+        if (sourceByNumber.has(n)) {
+          kept.push(n);
+          cited.add(n);
+        } else {
+          removed.add(n);
+        }
+      }
+
+      if (kept.length === 0) return "";
+      const space = match.startsWith(" ") ? " " : "";
+      return `${space}[${kept.join(", ")}]`;
+    });
+  }
+
+  function drain(final: boolean): string {
+    let output = "";
+
+    while (pending) {
+      const newline = pending.indexOf("\n");
+      const line = newline < 0 ? pending : pending.slice(0, newline);
+      const rest = newline < 0 ? "" : pending.slice(newline + 1);
+
+      if (atLineStart && inReferences) {
+        const item = line.trim();
+        const isListLine = !item || REFERENCE_ITEM_RE.test(item);
+        if (newline < 0 && !final && (isListLine || PARTIAL_REFERENCE_ITEM_RE.test(item))) break;
+        if (isListLine) {
+          pending = rest;
+          continue;
+        }
+        // The first line that is not part of the list is the model's own text.
+        inReferences = false;
+      }
+
+      if (atLineStart) {
+        if (newline < 0 && !final && couldBeReferencesHeading(line)) break;
+        if (REFERENCES_HEADING_RE.test(line.trim())) {
+          inReferences = true;
+          pending = rest;
+          continue;
+        }
+      }
+
+      let chunk = newline < 0 ? pending : pending.slice(0, newline + 1);
+      if (newline < 0 && !final) {
+        const partial = PARTIAL_CITATION_RE.exec(chunk);
+        if (partial && chunk.length - partial.index <= MAX_PARTIAL_CITATION_CHARS) {
+          chunk = chunk.slice(0, partial.index);
+        }
+        if (!chunk) break;
+      }
+
+      pending = pending.slice(chunk.length);
+      output += chunk;
+      atLineStart = chunk.endsWith("\n");
+    }
+
+    return repairCitations(output);
+  }
+
+  return {
+    /** Accepts the next streamed text and returns what is safe to show. */
+    push(delta: string): string {
+      raw += delta;
+      pending += delta;
+      return drain(false);
+    },
+
+    /** Releases held-back text at the end of a text part. */
+    flush(): string {
+      const output = drain(true);
+      atLineStart = true;
+      return output;
+    },
+
+    /** The References section for the citations that were kept, if any. */
+    buildReferences(): string {
+      referencesBlock = Array.from(cited)
+        .sort((a, b) => a - b)
+        .map((n) => `[${n}] ${sourceByNumber.get(n)}`)
+        .join("\n\n");
+      return referencesBlock ? `\n\n## References\n\n${referencesBlock}\n` : "";
+    },
+
+    report(): CitationIntegrityReport {
+      const original = Array.from(splitReferencesSection(raw).references.entries())
+        .map(([n, label]) => `[${n}] ${label}`)
+        .join("\n\n");
+
+      return {
+        issues: findCitationIssues({ answerText: raw, sources: params.sources, isWeak: params.isWeak }),
+        removedCitations: Array.from(removed).sort((a, b) => a - b),
+        referencesRebuilt: original.toLowerCase() !== referencesBlock.toLowerCase(),
+      };
+    },
+  };
+}
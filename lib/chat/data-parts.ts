@@ -0,0 +1,12 @@
+// Custom data parts the chat route streams with each answer. The AI SDK sends
+// them as `data-<name>` parts. This module has no server imports, so the chat
+// panel can read the names too.
+
+/** Name of the data part carrying the `RetrievalQuery` of an answer. */
+export const RETRIEVAL_QUERY_PART = "retrieval-query";
+
+/** Name of the data part carrying the `ChatAnswerContext` of an answer. */
+export const ANSWER_CONTEXT_PART = "answer-context";
+
+/** Name of the data part carrying a `CitationIntegrityReport`. */
+export const CITATION_INTEGRITY_PART = "citation-integrity";
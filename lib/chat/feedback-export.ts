@@ -0,0 +1,104 @@
+import { readFile } from "node:fs/promises";
+import type { ChatFeedbackEntry } from "@/lib/chat/feedback";
+
+/**
+ * Reads a JSONL feedback file, skipping lines that are not valid entries.
+ * Returns an empty list when the file does not exist yet.
+ */
+export async function readChatFeedback(
+  filePath: string,
+): Promise<{ entries: ChatFeedbackEntry[]; skipped: number }> {
+  let raw: string;
+  try {
+    raw = await readFile(filePath, "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return { entries: [], skipped: 0 };
+    }
+    throw error;
+  }
+
+  const entries: ChatFeedbackEntry[] = [];
+  let skipped = 0;
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+
+    try {
+      const entry = JSON.parse(line);
+      if (
+        typeof entry?.at === "string" &&
+        typeof entry?.messageId === "string" &&
+        (entry?.rating === "up" || entry?.rating === "down")
+      ) {
+        entries.push(entry);
+      } else {
+        skipped += 1;
+      }
+    } catch {
+      skipped += 1;
+    }
+  }
+
+  return { entries, skipped };
+}
+
+/** A thumbs down, or a thumbs up that still says what is wrong. */
+export function isFlaggedFeedback(entry: ChatFeedbackEntry): boolean {
+  return entry.rating === "down" || Boolean(entry.comment?.trim());
+}
+
+/**
+ * The latest feedback per answer, oldest first: a reader who changes their
+ * vote replaces their earlier entry.
+ */
+export function latestFeedbackPerAnswer(entries: ChatFeedbackEntry[]): ChatFeedbackEntry[] {
+  const latest = new Map<string, ChatFeedbackEntry>();
+  for (const entry of [...entries].sort((a, b) => a.at.localeCompare(b.at))) {
+    latest.delete(entry.messageId);
+    latest.set(entry.messageId, entry);
+  }
+  return Array.from(latest.values());
+}
+
+function quote(text: string | undefined): string {
+  return (text ?? "")
+    .trim()
+    .split("\n")
+    .map((line) => `> ${line}`.trimEnd())
+    .join("\n");
+}
+
+/** Feedback entries as a Markdown review list, one section per answer. */
+export function formatChatFeedbackMarkdown(entries: ChatFeedbackEntry[]): string {
+  const sections = entries.map((entry, index) => {
+    const lines = [
+      `## ${index + 1}. ${entry.rating === "down" ? "Thumbs down" : "Thumbs up"}, ${entry.at.slice(0, 10)}`,
+      "",
+    ];
+
+    if (entry.pathname) lines.push(`Asked on: ${entry.pathname}`, "");
+    lines.push("**What's wrong**", "", entry.comment?.trim() ? quote(entry.comment) : "(no comment)", "");
+    lines.push("**Question**", "", quote(entry.question), "");
+    lines.push("**Answer**", "", quote(entry.answer), "");
+
+    lines.push("**Citation map**", "");
+    if (entry.citationMap?.length > 0) {
+      for (const source of entry.citationMap) lines.push(`- [${source.n}] ${source.sourceName}`);
+    } else {
+      lines.push("(none)");
+    }
+    lines.push("");
+
+    lines.push("**Retrieved chunks**", "");
+    if (entry.chunkIds?.length > 0) {
+      for (const chunkId of entry.chunkIds) lines.push(`- \`${chunkId}\``);
+    } else {
+      lines.push("(none)");
+    }
+
+    return lines.join("\n");
+  });
+
+  return `# Chat answer feedback\n\n${sections.join("\n\n") || "(no entries)"}\n`;
+}
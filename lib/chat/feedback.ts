@@ -0,0 +1,167 @@
+import { appendFile, mkdir, rename, stat } from "node:fs/promises";
+import path from "node:path";
+import type { ChatCitationSource } from "@/lib/chat/citation-repair";
+import { redactIdentifiers } from "@/lib/search/analytics";
+
+export const DEFAULT_CHAT_FEEDBACK_FILE = ".cache/feedback/chat-feedback.jsonl";
+
+/** Size at which the feedback file is rotated to `<file>.1`. */
+export const MAX_CHAT_FEEDBACK_FILE_BYTES = 10 * 1024 * 1024;
+
+const MAX_QUESTION_CHARS = 2000;
+const MAX_ANSWER_CHARS = 20_000;
+const MAX_COMMENT_CHARS = 2000;
+const MAX_CONTEXT_ITEMS = 50;
+
+/** Largest `POST /api/chat/feedback` body read; the fields above fit well within it. */
+export const MAX_CHAT_FEEDBACK_BODY_BYTES = 128 * 1024;
+
+/** What an answer was grounded on, sent back with feedback on it. */
+export type ChatAnswerContext = {
+  /** `RetrievedChunk.chunkId` of every chunk given to the model. */
+  chunkIds: string[];
+  citationMap: ChatCitationSource[];
+};
+
+export type ChatFeedbackRating = "up" | "down";
+
+/** Body of `POST /api/chat/feedback`. */
+export type ChatFeedbackRequest = ChatAnswerContext & {
+  messageId: string;
+  rating: ChatFeedbackRating;
+  /** The reader's "what's wrong" text. */
+  comment?: string;
+  question: string;
+  answer: string;
+  /** Page the question was asked on. */
+  pathname?: string;
+};
+
+/** One stored piece of feedback, as read by `npm run export:feedback`. */
+export type ChatFeedbackEntry = ChatFeedbackRequest & {
+  /** ISO timestamp. */
+  at: string;
+};
+
+export interface ChatFeedbackStore {
+  record(entry: ChatFeedbackEntry): Promise<void>;
+}
+
+export function toRotatedFeedbackPath(filePath: string): string {
+  return `${filePath}.1`;
+}
+
+function readString(value: unknown, maxChars: number): string | undefined {
+  if (typeof value !== "string") return undefined;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, maxChars) : undefined;
+}
+
+/**
+ * Validates a feedback body, or returns an error message for the 400 response.
+ * The question and comment are stripped of contact details and IDs.
+ */
+export function parseChatFeedbackRequest(value: unknown): ChatFeedbackRequest | string {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return "Feedback must be a JSON object.";
+  }
+
+  const record = value as Record<string, unknown>;
+  const messageId = readString(record.messageId, 200);
+  const question = readString(record.question, MAX_QUESTION_CHARS);
+  const answer = readString(record.answer, MAX_ANSWER_CHARS);
+  const comment = readString(record.comment, MAX_COMMENT_CHARS);
+
+  if (!messageId) return "messageId is required.";
+  if (record.rating !== "up" && record.rating !== "down") {
+    return 'rating must be "up" or "down".';
+  }
+  if (!question || !answer) return "question and answer are required.";
+
+  const chunkIds = Array.isArray(record.chunkIds)
+    ? record.chunkIds
+        .filter((id): id is string => typeof id === "string")
+        .slice(0, MAX_CONTEXT_ITEMS)
+    : [];
+  const citationMap = Array.isArray(record.citationMap)
+    ? record.citationMap
+        .filter(
+          (source): source is ChatCitationSource =>
+            typeof source?.n === "number" && typeof source?.sourceName === "string",
+        )
+        .slice(0, MAX_CONTEXT_ITEMS)
+        .map((source) => ({ n: source.n, sourceName: source.sourceName }))
+    : [];
+
+  return {
+    messageId,
+    rating: record.rating,
+    comment: comment ? redactIdentifiers(comment) : undefined,
+    question: redactIdentifiers(question),
+    answer: redactIdentifiers(answer),
+    pathname: readString(record.pathname, 500),
+    chunkIds,
+    citationMap,
+  };
+}
+
+/**
+ * Appends one JSON object per line; the default store. Once the file reaches
+ * `MAX_CHAT_FEEDBACK_FILE_BYTES` it is moved to `<file>.1`, replacing the
+ * previous one, so the store never holds more than twice that.
+ */
+export function createJsonlChatFeedbackStore(filePath: string): ChatFeedbackStore {
+  let ready: Promise<unknown> | null = null;
+
+  return {
+    async record(entry) {
+      ready ??= mkdir(path.dirname(filePath), { recursive: true }).catch((error: unknown) => {
+        ready = null;
+        throw error;
+      });
+      await ready;
+
+      const size = await stat(filePath).then(
+        (stats) => stats.size,
+        () => 0,
+      );
+      if (size >= MAX_CHAT_FEEDBACK_FILE_BYTES) {
+        // A concurrent request may have rotated the file already.
+        await rename(filePath, toRotatedFeedbackPath(filePath)).catch((error: unknown) => {
+          if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+        });
+      }
+
+      await appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+    },
+  };
+}
+
+// `undefined` until first use.
+let activeStore: ChatFeedbackStore | undefined;
+
+/** JSONL at `CHAT_FEEDBACK_FILE`, by default `.cache/feedback/chat-feedback.jsonl`. */
+function createDefaultStore(): ChatFeedbackStore {
+  return createJsonlChatFeedbackStore(
+    path.resolve(
+      process.cwd(),
+      process.env.CHAT_FEEDBACK_FILE?.trim() || DEFAULT_CHAT_FEEDBACK_FILE,
+    ),
+  );
+}
+
+/**
+ * Replaces the store, e.g. with a database or issue tracker; `null` restores
+ * the JSONL file.
+ */
+export function setChatFeedbackStore(store: ChatFeedbackStore | null): void {
+  activeStore = store ?? undefined;
+}
+
+/** Stores feedback; unlike search analytics, failures reach the caller. */
+export async function recordChatFeedback(feedback: ChatFeedbackRequest): Promise<ChatFeedbackEntry> {
+  activeStore ??= createDefaultStore();
+  const entry = { ...feedback, at: new Date().toISOString() };
+  await activeStore.record(entry);
+  return entry;
+}
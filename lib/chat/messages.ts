@@ -0,0 +1,12 @@
+import type { UIMessage } from "ai";
+
+/** The text parts of a message, joined as the chat panel shows them. */
+export function getMessageText(message: UIMessage): string {
+  let output = "";
+  for (const part of message.parts ?? []) {
+    if (part.type === "text") {
+      output += part.text;
+    }
+  }
+  return output.trim();
+}
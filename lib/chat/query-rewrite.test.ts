@@ -0,0 +1,108 @@
+import type { UIMessage } from "ai";
+import { describe, expect, it, vi } from "vitest";
+import { buildRetrievalQuery } from "@/lib/chat/query-rewrite";
+
+// The real page tree is generated by fumadocs-mdx at build time.
+vi.mock("@/lib/source", () => {
+  const pages = [
+    { url: "/general-surgery", slugs: ["general-surgery"], title: "General Surgery" },
+    { url: "/general-surgery/hbp", slugs: ["general-surgery", "hbp"], title: "HBP" },
+    {
+      url: "/general-surgery/hbp/acute-cholangitis",
+      slugs: ["general-surgery", "hbp", "acute-cholangitis"],
+      title: "Acute Cholangitis",
+    },
+    {
+      url: "/general-surgery/colorectal/appendicitis",
+      slugs: ["general-surgery", "colorectal", "appendicitis"],
+      title: "Appendicitis",
+    },
+  ];
+
+  return {
+    source: {
+      getPages: () => pages.map(({ title, ...page }) => ({ ...page, data: { title } })),
+    },
+  };
+});
+
+function userMessages(...texts: string[]): UIMessage[] {
+  return texts.map((text, index) => ({
+    id: String(index),
+    role: "user",
+    parts: [{ type: "text", text }],
+  }));
+}
+
+describe("buildRetrievalQuery", () => {
+  it("puts the earlier topic in place of a pronoun", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("What is acute cholangitis?", "How do you treat it?"),
+      mode: "heuristic",
+    });
+
+    expect(result).toEqual({
+      original: "How do you treat it?",
+      query: "How do you treat Acute Cholangitis?",
+      mode: "heuristic",
+      topic: "Acute Cholangitis",
+    });
+  });
+
+  it("prefixes a short follow-up with the topic", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("Tell me about appendicitis", "and complications?"),
+      mode: "heuristic",
+    });
+
+    expect(result.query).toBe("Appendicitis complications?");
+  });
+
+  it("keeps a question that names a topic itself", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("What is acute cholangitis?", "What about appendicitis?"),
+      mode: "heuristic",
+    });
+
+    expect(result.query).toBe("What about appendicitis?");
+    expect(result.topic).toBeUndefined();
+  });
+
+  it("resolves a bare first question against the current topic page", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("How does it present?"),
+      pageUrl: "/general-surgery/hbp/acute-cholangitis",
+      mode: "heuristic",
+    });
+
+    expect(result.query).toBe("How does Acute Cholangitis present?");
+  });
+
+  it("does not take a topic from an index page", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("How does it present?"),
+      pageUrl: "/general-surgery/hbp",
+      mode: "heuristic",
+    });
+
+    expect(result.query).toBe("How does it present?");
+  });
+
+  it("searches the latest message as written when off", async () => {
+    const result = await buildRetrievalQuery({
+      messages: userMessages("What is acute cholangitis?", "How do you treat it?"),
+      mode: "off",
+    });
+
+    expect(result).toEqual({
+      original: "How do you treat it?",
+      query: "How do you treat it?",
+      mode: "off",
+    });
+  });
+
+  it("returns an empty query without a user message", async () => {
+    const result = await buildRetrievalQuery({ messages: [], mode: "heuristic" });
+    expect(result.query).toBe("");
+  });
+});
@@ -0,0 +1,272 @@
+import { gateway, generateText, type UIMessage } from "ai";
+import { getMessageText } from "@/lib/chat/messages";
+import { source } from "@/lib/source";
+import { findMedicalSynonyms } from "@/lib/search/medical-synonyms";
+
+/**
+ * `heuristic` resolves follow-ups from topic titles without a model call,
+ * `llm` asks a model and falls back to the heuristic, `off` searches the latest
+ * message as written.
+ */
+export type QueryRewriteMode = "heuristic" | "llm" | "off";
+
+const QUERY_REWRITE_MODES: QueryRewriteMode[] = ["heuristic", "llm", "off"];
+const REWRITE_MODEL = "google/gemini-3-flash";
+const REWRITE_TIMEOUT_MS = 4000;
+const MAX_REWRITE_TURNS = 6;
+const MAX_FALLBACK_TOPIC_WORDS = 6;
+// Short questions such as "complications?" only make sense after earlier turns.
+const MAX_FOLLOW_UP_WORDS = 3;
+// Title words shared by this many topics, such as "acute" or "cancer", name none.
+const GENERIC_TITLE_WORD_COUNT = 5;
+
+// "and what about ...", "also ...": the question continues an earlier one.
+const CONTINUATION_RE =
+  /^(?:(?:and|also|so|then|ok(?:ay)?|what about|how about|what of)\b[\s,]*)+/i;
+// Pronouns and references to an earlier topic. "this", "that", "these" and
+// "those" only count on their own ("what causes that?"): followed by a word
+// they are determiners or relative pronouns, as in "the drugs that cause ...".
+const REFERENCE_RE =
+  /\b(?:(?:this|that|the) (?:condition|disease|disorder|syndrome|procedure|operation|drug|topic)\b|(?:its|it|their|they|them)\b|(?:this|that|these|those)\b(?=\s*(?:[?.!,;:]|$)))/gi;
+const STOP_WORDS = new Set(
+  "a about an and are as at be by can describe do does explain for from give how i in is it its list me of on or please should tell the their this to what when where which who why with you your".split(
+    " ",
+  ),
+);
+
+/** What chat retrieval searched for, returned for debugging. */
+export type RetrievalQuery = {
+  /** The latest user message. */
+  original: string;
+  /** The query sent to the search provider. */
+  query: string;
+  mode: QueryRewriteMode;
+  /** Topic taken from an earlier turn or the current page, when rewritten. */
+  topic?: string;
+};
+
+type TopicTitle = {
+  title: string;
+  normalized: string;
+};
+
+let topicTitles: TopicTitle[] | undefined;
+let topicWords: Set<string> | undefined;
+
+function normalize(text: string): string {
+  return ` ${text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+/**
+ * Titles of topic pages, longest first. Index pages such as "Overview" are
+ * skipped: their titles name no topic.
+ */
+function getTopicTitles(): TopicTitle[] {
+  if (topicTitles) return topicTitles;
+
+  const pages = source.getPages();
+  const parents = new Set(
+    pages.flatMap((page) =>
+      page.slugs.slice(0, -1).map((_, index) => page.slugs.slice(0, index + 1).join("/")),
+    ),
+  );
+
+  topicTitles = pages
+    .filter((page) => page.slugs.length > 0 && !parents.has(page.slugs.join("/")))
+    .map((page) => ({ title: page.data.title, normalized: normalize(page.data.title) }))
+    .filter((entry) => entry.normalized.trim())
+    .sort((a, b) => b.normalized.length - a.normalized.length);
+
+  return topicTitles;
+}
+
+/** Words that pick out a few topics, such as "cholangitis". */
+function getTopicWords(): Set<string> {
+  if (topicWords) return topicWords;
+
+  const counts = new Map<string, number>();
+  for (const entry of getTopicTitles()) {
+    for (const word of new Set(getContentWords(entry.title))) {
+      counts.set(word, (counts.get(word) ?? 0) + 1);
+    }
+  }
+
+  topicWords = new Set(
+    Array.from(counts)
+      .filter(([word, count]) => word.length > 2 && count < GENERIC_TITLE_WORD_COUNT)
+      .map(([word]) => word),
+  );
+  return topicWords;
+}
+
+/** The longest topic title named in `text`, directly or through a synonym. */
+function findTopicTitle(text: string): string | undefined {
+  const variants = [text, ...findMedicalSynonyms(text)].map(normalize);
+  return getTopicTitles().find((entry) =>
+    variants.some((variant) => variant.includes(entry.normalized)),
+  )?.title;
+}
+
+function getContentWords(text: string): string[] {
+  return normalize(text)
+    .trim()
+    .split(" ")
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/** True when `text` names a topic itself, e.g. "appendicitis" or "AAA". */
+function namesTopic(text: string): boolean {
+  if (findTopicTitle(text)) return true;
+  const words = getTopicWords();
+  return getContentWords(text).some((word) => words.has(word));
+}
+
+function getUserTexts(messages: UIMessage[]): string[] {
+  return messages
+    .filter((message) => message.role === "user")
+    .map(getMessageText)
+    .filter((text) => text.length > 0);
+}
+
+function getTopicTitleForUrl(pageUrl: string | undefined): string | undefined {
+  if (!pageUrl) return undefined;
+  const page = source.getPages().find((candidate) => candidate.url === pageUrl);
+  if (!page) return undefined;
+
+  const title = normalize(page.data.title);
+  return getTopicTitles().some((entry) => entry.normalized === title)
+    ? page.data.title
+    : undefined;
+}
+
+/**
+ * The topic a follow-up refers to: the latest earlier question naming a topic
+ * page, then the words of the previous question. The current page is only
+ * used for a first question, which has no conversation to resolve against.
+ */
+function findConversationTopic(
+  earlierQuestions: string[],
+  pageUrl: string | undefined,
+): string | undefined {
+  if (earlierQuestions.length === 0) return getTopicTitleForUrl(pageUrl);
+
+  for (const question of earlierQuestions.toReversed()) {
+    const title = findTopicTitle(question);
+    if (title) return title;
+  }
+
+  const words = getContentWords(earlierQuestions.at(-1) ?? "").slice(
+    0,
+    MAX_FALLBACK_TOPIC_WORDS,
+  );
+  return words.length > 0 ? words.join(" ") : undefined;
+}
+
+/**
+ * A question is a follow-up when it continues an earlier one, or refers back
+ * with a pronoun. Without earlier turns, a pronoun only counts in a bare
+ * question such as "How does it present?".
+ */
+function isFollowUp(query: string, hasEarlierTurns: boolean): boolean {
+  const isShort = getContentWords(query).length <= MAX_FOLLOW_UP_WORDS;
+  const hasReference = new RegExp(REFERENCE_RE.source, "i").test(query);
+
+  if (hasEarlierTurns) {
+    return CONTINUATION_RE.test(query) || hasReference || isShort;
+  }
+  return hasReference && isShort;
+}
+
+/**
+ * Rewrites a follow-up such as "and what about its complications?" into a
+ * standalone query, "Acute Cholangitis complications?", by putting the topic
+ * in place of the pronouns. Questions that name a topic themselves are kept.
+ */
+function rewriteHeuristically(
+  query: string,
+  earlierQuestions: string[],
+  pageUrl: string | undefined,
+): { query: string; topic?: string } {
+  if (namesTopic(query) || !isFollowUp(query, earlierQuestions.length > 0)) {
+    return { query };
+  }
+
+  const topic = findConversationTopic(earlierQuestions, pageUrl);
+  if (!topic) return { query };
+
+  const rest = query.replace(CONTINUATION_RE, "").trim();
+  let replaced = false;
+  const rewritten = rest.replace(REFERENCE_RE, () => {
+    replaced = true;
+    return topic;
+  });
+
+  return { query: replaced ? rewritten : `${topic} ${rest}`.trim(), topic };
+}
+
+async function rewriteWithModel(query: string, earlierQuestions: string[]): Promise<string> {
+  const { text } = await generateText({
+    model: gateway(REWRITE_MODEL),
+    system: [
+      "Rewrite the user's latest question into a standalone search query for a medical knowledge base.",
+      "Replace pronouns and vague references with the topic they refer to.",
+      "Keep the question's own wording otherwise. Reply with the query only.",
+    ].join("\n"),
+    prompt: [
+      "Earlier questions:",
+      earlierQuestions.map((question) => `- ${question}`).join("\n"),
+      "",
+      `Latest question: ${query}`,
+    ].join("\n"),
+    maxOutputTokens: 100,
+    abortSignal: AbortSignal.timeout(REWRITE_TIMEOUT_MS),
+  });
+
+  return text.trim().split("\n")[0].trim();
+}
+
+function getQueryRewriteMode(): QueryRewriteMode {
+  const configured = process.env.CHAT_QUERY_REWRITE?.trim() || "heuristic";
+  if (QUERY_REWRITE_MODES.includes(configured as QueryRewriteMode)) {
+    return configured as QueryRewriteMode;
+  }
+
+  console.warn(`[chat-query-rewrite] Unknown CHAT_QUERY_REWRITE "${configured}", using heuristic.`);
+  return "heuristic";
+}
+
+/**
+ * Builds the retrieval query for the latest user message, resolving follow-ups
+ * against earlier questions. `pageUrl` resolves a bare first question such as
+ * "How does it present?" asked on a topic page. The mode comes from
+ * `CHAT_QUERY_REWRITE`. `query` is empty when there is no user message.
+ */
+export async function buildRetrievalQuery(params: {
+  messages: UIMessage[];
+  pageUrl?: string;
+  mode?: QueryRewriteMode;
+}): Promise<RetrievalQuery> {
+  const mode = params.mode ?? getQueryRewriteMode();
+  const questions = getUserTexts(params.messages);
+  const original = questions.at(-1) ?? "";
+  const earlierQuestions = questions.slice(-MAX_REWRITE_TURNS - 1, -1);
+
+  if (!original || mode === "off") {
+    return { original, query: original, mode };
+  }
+
+  if (mode === "llm" && earlierQuestions.length > 0) {
+    try {
+      const query = await rewriteWithModel(original, earlierQuestions);
+      if (query) return { original, query, mode };
+    } catch (error) {
+      console.error("[chat-query-rewrite] Model rewrite failed, using the heuristic:", error);
+    }
+  }
+
+  const { query, topic } = rewriteHeuristically(original, earlierQuestions, params.pageUrl);
+  return { original, query, mode: "heuristic", topic };
+}
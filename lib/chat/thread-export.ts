@@ -0,0 +1,61 @@
+import { getMessageText } from "@/lib/chat/messages";
+import type { ChatThread } from "@/lib/chat/thread-storage";
+
+const ROLE_HEADINGS: Record<string, string> = {
+  user: "You",
+  assistant: "memo-1",
+};
+
+/** Headings inside a message move one level down, below its role heading. */
+function demoteHeadings(markdown: string): string {
+  return markdown.replace(/^(#{1,5})(?=\s)/gm, "$1#");
+}
+
+/** Site-relative links such as the References entries resolve against `origin`. */
+function absolutizeLinks(markdown: string, origin: string): string {
+  return markdown.replace(/\]\(\/(?!\/)/g, `](${origin}/`);
+}
+
+export function getChatThreadFileName(thread: ChatThread): string {
+  const slug = thread.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+  return `${slug || "chat"}.md`;
+}
+
+/**
+ * A thread as Markdown: the page it started on, then every question and
+ * answer. Answers keep their References sections, with links made absolute so
+ * the file works outside the site.
+ */
+export function formatChatThreadMarkdown(thread: ChatThread, origin: string): string {
+  const lines = [`# ${thread.title}`, ""];
+
+  const date = new Date(thread.createdAt).toLocaleString("en-GB", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+  if (thread.startedOn) {
+    const label = thread.startedOn.title ?? thread.startedOn.pathname;
+    lines.push(`Started on [${label}](${origin}${thread.startedOn.pathname}), ${date}.`, "");
+  } else {
+    lines.push(`Started ${date}.`, "");
+  }
+
+  for (const message of thread.messages) {
+    const text = getMessageText(message);
+    if (!text || message.role === "system") continue;
+
+    lines.push(
+      `## ${ROLE_HEADINGS[message.role] ?? message.role}`,
+      "",
+      absolutizeLinks(demoteHeadings(text), origin),
+      "",
+    );
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
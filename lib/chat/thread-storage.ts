@@ -0,0 +1,156 @@
+import type { UIMessage } from "ai";
+
+/** Dispatched on `window` whenever a thread is saved, renamed or deleted. */
+export const CHAT_THREADS_CHANGED_EVENT = "mbbspedia:chat-threads-changed";
+
+const DATABASE_NAME = "mbbspedia-chat";
+const DATABASE_VERSION = 1;
+const THREAD_STORE = "threads";
+
+/** Page the first question of a thread was asked on. */
+export type ChatThreadOrigin = {
+  pathname: string;
+  title?: string;
+};
+
+export type ChatThread = {
+  id: string;
+  title: string;
+  /** ISO timestamps. */
+  createdAt: string;
+  updatedAt: string;
+  startedOn?: ChatThreadOrigin;
+  messages: UIMessage[];
+};
+
+export type ChatThreadSummary = Omit<ChatThread, "messages">;
+
+/** Where the AI panel keeps its threads. */
+export interface ChatThreadStorage {
+  readonly name: string;
+  /** Every thread without its messages, most recently updated first. */
+  list(): Promise<ChatThreadSummary[]>;
+  get(id: string): Promise<ChatThread | null>;
+  put(thread: ChatThread): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+function toSummary(thread: ChatThread): ChatThreadSummary {
+  return {
+    id: thread.id,
+    title: thread.title,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    startedOn: thread.startedOn,
+  };
+}
+
+function sortByUpdatedAt(summaries: ChatThreadSummary[]): ChatThreadSummary[] {
+  return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function requestResult<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Threads in an IndexedDB database of this origin; the default in browsers. */
+export function createIndexedDbThreadStorage(): ChatThreadStorage {
+  let databasePromise: Promise<IDBDatabase> | null = null;
+
+  function openDatabase(): Promise<IDBDatabase> {
+    databasePromise ??= new Promise<IDBDatabase>((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(THREAD_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error: unknown) => {
+      databasePromise = null;
+      throw error;
+    });
+
+    return databasePromise;
+  }
+
+  async function withStore<T>(
+    mode: IDBTransactionMode,
+    run: (store: IDBObjectStore) => IDBRequest<T>,
+  ): Promise<T> {
+    const database = await openDatabase();
+    return requestResult(run(database.transaction(THREAD_STORE, mode).objectStore(THREAD_STORE)));
+  }
+
+  return {
+    name: "indexeddb",
+    async list() {
+      const threads = await withStore<ChatThread[]>("readonly", (store) => store.getAll());
+      return sortByUpdatedAt(threads.map(toSummary));
+    },
+    async get(id) {
+      const thread = await withStore<ChatThread | undefined>("readonly", (store) => store.get(id));
+      return thread ?? null;
+    },
+    async put(thread) {
+      await withStore("readwrite", (store) => store.put(thread));
+    },
+    async delete(id) {
+      await withStore("readwrite", (store) => store.delete(id));
+    },
+  };
+}
+
+/** Threads kept until the page reloads, where IndexedDB is unavailable. */
+export function createMemoryThreadStorage(): ChatThreadStorage {
+  const threads = new Map<string, ChatThread>();
+
+  return {
+    name: "memory",
+    async list() {
+      return sortByUpdatedAt(Array.from(threads.values(), toSummary));
+    },
+    async get(id) {
+      return threads.get(id) ?? null;
+    },
+    async put(thread) {
+      threads.set(thread.id, structuredClone(thread));
+    },
+    async delete(id) {
+      threads.delete(id);
+    },
+  };
+}
+
+// `undefined` until first use.
+let activeStorage: ChatThreadStorage | undefined;
+
+function createDefaultStorage(): ChatThreadStorage {
+  return typeof indexedDB === "undefined"
+    ? createMemoryThreadStorage()
+    : createIndexedDbThreadStorage();
+}
+
+export function getChatThreadStorage(): ChatThreadStorage {
+  activeStorage ??= createDefaultStorage();
+  return activeStorage;
+}
+
+/**
+ * Replaces the thread storage, e.g. with one synced to an account; `null`
+ * restores IndexedDB.
+ */
+export function setChatThreadStorage(storage: ChatThreadStorage | null): void {
+  activeStorage = storage ?? undefined;
+  window.dispatchEvent(new Event(CHAT_THREADS_CHANGED_EVENT));
+}
+
+/** Runs a write against the active storage and tells open lists to reload. */
+export async function updateChatThreads(
+  run: (storage: ChatThreadStorage) => Promise<void>,
+): Promise<void> {
+  await run(getChatThreadStorage());
+  window.dispatchEvent(new Event(CHAT_THREADS_CHANGED_EVENT));
+}
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { formatCitationExport, toCitationExportFormat } from "@/lib/citation-export";
+import type { UnifiedReferenceItem } from "@/lib/page-citations";
+
+const context = {
+  pageKey: "general-surgery-hbp-acute-cholangitis",
+  pageTitle: "Acute Cholangitis",
+  pageUrl: "https://example.org/general-surgery/hbp/acute-cholangitis",
+};
+
+const items: UnifiedReferenceItem[] = [
+  {
+    n: 1,
+    source: "Tokyo Guidelines 2018: diagnostic criteria & grading",
+    type: "guideline",
+    doi: "10.1002/jhbp.512",
+    pages: "17–30",
+    licence: "CC BY 4.0",
+    origins: [{ scope: "acute-cholangitis-dx", label: "Dx", n: 3 }],
+  },
+  {
+    n: 2,
+    source: "Ward handout",
+    origins: [],
+  },
+];
+
+describe("toCitationExportFormat", () => {
+  it("accepts formats and their short names", () => {
+    expect(toCitationExportFormat("bibtex")).toBe("bibtex");
+    expect(toCitationExportFormat(" BIB ")).toBe("bibtex");
+    expect(toCitationExportFormat("ris")).toBe("ris");
+    expect(toCitationExportFormat("json")).toBe("csl-json");
+    expect(toCitationExportFormat("endnote")).toBeNull();
+    expect(toCitationExportFormat(null)).toBeNull();
+  });
+});
+
+describe("formatCitationExport", () => {
+  it("writes BibTeX entries with escaped fields and page ranges", () => {
+    expect(formatCitationExport("bibtex", items, context)).toBe(
+      [
+        "@misc{general-surgery-hbp-acute-cholangitis-1,",
+        "  title = {Tokyo Guidelines 2018: diagnostic criteria \\& grading},",
+        "  doi = {10.1002/jhbp.512},",
+        "  pages = {17--30},",
+        "  copyright = {CC BY 4.0},",
+        "  note = {Cited in MBBSPedia: Acute Cholangitis (https://example.org/general-surgery/hbp/acute-cholangitis) — Dx [3]}",
+        "}",
+        "",
+        "@misc{general-surgery-hbp-acute-cholangitis-2,",
+        "  title = {Ward handout},",
+        "  note = {Cited in MBBSPedia: Acute Cholangitis (https://example.org/general-surgery/hbp/acute-cholangitis)}",
+        "}",
+      ].join("\n"),
+    );
+  });
+
+  it("writes RIS records with CRLF line endings and split page ranges", () => {
+    const [first] = formatCitationExport("ris", items, context).split("\r\n\r\n");
+    expect(first.split("\r\n")).toEqual([
+      "TY  - GOVDOC",
+      "ID  - general-surgery-hbp-acute-cholangitis-1",
+      "TI  - Tokyo Guidelines 2018: diagnostic criteria & grading",
+      "DO  - 10.1002/jhbp.512",
+      "SP  - 17",
+      "EP  - 30",
+      "N1  - Licence: CC BY 4.0",
+      "N1  - Cited in MBBSPedia: Acute Cholangitis (https://example.org/general-surgery/hbp/acute-cholangitis) — Dx [3]",
+      "ER  - ",
+    ]);
+  });
+
+  it("writes CSL-JSON with optional fields only when present", () => {
+    const entries = JSON.parse(formatCitationExport("csl-json", items, context));
+    expect(entries[0]).toMatchObject({
+      id: "general-surgery-hbp-acute-cholangitis-1",
+      type: "report",
+      DOI: "10.1002/jhbp.512",
+      page: "17–30",
+      license: "CC BY 4.0",
+    });
+    expect(entries[1]).toEqual({
+      id: "general-surgery-hbp-acute-cholangitis-2",
+      type: "document",
+      title: "Ward handout",
+      note: "Cited in MBBSPedia: Acute Cholangitis (https://example.org/general-surgery/hbp/acute-cholangitis)",
+    });
+  });
+
+  it("keys entries of the home page as index", () => {
+    const [entry] = JSON.parse(
+      formatCitationExport("csl-json", items.slice(1), { ...context, pageKey: "" }),
+    );
+    expect(entry.id).toBe("index-2");
+  });
+});
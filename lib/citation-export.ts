@@ -0,0 +1,151 @@
+import type { ReferenceSourceType } from "@/lib/mdx/reference-metadata";
+import type { UnifiedReferenceItem } from "@/lib/page-citations";
+
+export const CITATION_EXPORT_FORMATS = ["bibtex", "ris", "csl-json"] as const;
+
+export type CitationExportFormat = (typeof CITATION_EXPORT_FORMATS)[number];
+
+type ExportContext = {
+  /** Used to build stable entry keys, e.g. `general-surgery-hbp-acute-cholangitis`. */
+  pageKey: string;
+  pageTitle: string;
+  pageUrl: string;
+};
+
+type ExportDescriptor = {
+  contentType: string;
+  extension: string;
+};
+
+export const CITATION_EXPORT_DESCRIPTORS: Record<CitationExportFormat, ExportDescriptor> = {
+  bibtex: { contentType: "application/x-bibtex; charset=utf-8", extension: "bib" },
+  ris: { contentType: "application/x-research-info-systems; charset=utf-8", extension: "ris" },
+  "csl-json": {
+    contentType: "application/vnd.citationstyles.csl+json; charset=utf-8",
+    extension: "json",
+  },
+};
+
+const BIBTEX_TYPES: Record<ReferenceSourceType, string> = {
+  guideline: "misc",
+  textbook: "book",
+  article: "article",
+  website: "misc",
+  "senior-note": "unpublished",
+  slides: "misc",
+  handout: "unpublished",
+  other: "misc",
+};
+
+const RIS_TYPES: Record<ReferenceSourceType, string> = {
+  guideline: "GOVDOC",
+  textbook: "BOOK",
+  article: "JOUR",
+  website: "ELEC",
+  "senior-note": "UNPB",
+  slides: "SLIDE",
+  handout: "UNPB",
+  other: "GEN",
+};
+
+const CSL_TYPES: Record<ReferenceSourceType, string> = {
+  guideline: "report",
+  textbook: "book",
+  article: "article-journal",
+  website: "webpage",
+  "senior-note": "manuscript",
+  slides: "speech",
+  handout: "manuscript",
+  other: "document",
+};
+
+export function toCitationExportFormat(value: string | null): CitationExportFormat | null {
+  const normalized = value?.trim().toLowerCase();
+  if (normalized === "bib") return "bibtex";
+  if (normalized === "csl" || normalized === "json") return "csl-json";
+  return CITATION_EXPORT_FORMATS.find((format) => format === normalized) ?? null;
+}
+
+function getEntryKey(context: ExportContext, item: UnifiedReferenceItem): string {
+  return `${context.pageKey || "index"}-${item.n}`;
+}
+
+function getCitedInNote(context: ExportContext, item: UnifiedReferenceItem): string {
+  const origins = item.origins.map((origin) => `${origin.label} [${origin.n}]`).join(", ");
+  return `Cited in MBBSPedia: ${context.pageTitle} (${context.pageUrl})${origins ? ` — ${origins}` : ""}`;
+}
+
+function splitPageRange(pages: string): [string, string | undefined] {
+  const [start, end] = pages.split(/\s*[-–—]\s*/);
+  return [start, end];
+}
+
+function escapeBibtex(value: string): string {
+  return value.replace(/\\/g, "\\textbackslash{}").replace(/([{}%&#_$])/g, "\\$1");
+}
+
+function toBibtex(items: UnifiedReferenceItem[], context: ExportContext): string {
+  return items
+    .map((item) => {
+      const fields: Array<[string, string | undefined]> = [
+        ["title", item.source],
+        ["url", item.url],
+        ["doi", item.doi],
+        ["pages", item.pages?.replace(/\s*[-–—]\s*/, "--")],
+        ["copyright", item.licence],
+        ["note", getCitedInNote(context, item)],
+      ];
+      const body = fields
+        .filter((field): field is [string, string] => Boolean(field[1]))
+        .map(([key, value]) => `  ${key} = {${key === "url" ? value : escapeBibtex(value)}}`)
+        .join(",\n");
+
+      return `@${BIBTEX_TYPES[item.type ?? "other"]}{${getEntryKey(context, item)},\n${body}\n}`;
+    })
+    .join("\n\n");
+}
+
+function toRis(items: UnifiedReferenceItem[], context: ExportContext): string {
+  return items
+    .map((item) => {
+      const lines = [`TY  - ${RIS_TYPES[item.type ?? "other"]}`, `ID  - ${getEntryKey(context, item)}`];
+      lines.push(`TI  - ${item.source}`);
+      if (item.url) lines.push(`UR  - ${item.url}`);
+      if (item.doi) lines.push(`DO  - ${item.doi}`);
+      if (item.pages) {
+        const [start, end] = splitPageRange(item.pages);
+        lines.push(`SP  - ${start}`);
+        if (end) lines.push(`EP  - ${end}`);
+      }
+      if (item.licence) lines.push(`N1  - Licence: ${item.licence}`);
+      lines.push(`N1  - ${getCitedInNote(context, item)}`);
+      lines.push("ER  - ");
+      return lines.join("\r\n");
+    })
+    .join("\r\n\r\n");
+}
+
+function toCslJson(items: UnifiedReferenceItem[], context: ExportContext): string {
+  const entries = items.map((item) => ({
+    id: getEntryKey(context, item),
+    type: CSL_TYPES[item.type ?? "other"],
+    title: item.source,
+    ...(item.url ? { URL: item.url } : {}),
+    ...(item.doi ? { DOI: item.doi } : {}),
+    ...(item.pages ? { page: item.pages } : {}),
+    ...(item.licence ? { license: item.licence } : {}),
+    note: getCitedInNote(context, item),
+  }));
+
+  return `${JSON.stringify(entries, null, 2)}\n`;
+}
+
+export function formatCitationExport(
+  format: CitationExportFormat,
+  items: UnifiedReferenceItem[],
+  context: ExportContext,
+): string {
+  if (format === "bibtex") return toBibtex(items, context);
+  if (format === "ris") return toRis(items, context);
+  return toCslJson(items, context);
+}
@@ -0,0 +1,29 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { humanizeSlug } from "@/lib/mixedbread/chunk-utils";
+
+const folderTitleCache = new Map<string, Promise<string>>();
+
+/**
+ * Display name of a docs folder from its `meta.json`, e.g. `ent` -> "ENT" or
+ * `general-surgery/hbp` -> "HBP". Falls back to the humanised folder name.
+ */
+export function getDocsFolderTitle(folder: string): Promise<string> {
+  const cached = folderTitleCache.get(folder);
+  if (cached) return cached;
+
+  const pending = (async () => {
+    try {
+      const metaPath = path.join(process.cwd(), "content/docs", folder, "meta.json");
+      const meta = JSON.parse(await readFile(metaPath, "utf8")) as { title?: unknown };
+      if (typeof meta.title === "string" && meta.title.trim()) return meta.title.trim();
+    } catch {
+      // fall through to the folder name
+    }
+
+    return humanizeSlug(folder.split("/").pop() ?? folder);
+  })();
+
+  folderTitleCache.set(folder, pending);
+  return pending;
+}
@@ -2,3 +2,9 @@ export const EXPAND_ALL_FRAGMENT_DROPDOWNS_EVENT =
   "mbbspedia:expand-all-fragment-dropdowns";
 export const COLLAPSE_ALL_FRAGMENT_DROPDOWNS_EVENT =
   "mbbspedia:collapse-all-fragment-dropdowns";
+/** Detail is `{ element }`; every section containing the element opens. */
+export const REVEAL_FRAGMENT_HEADING_EVENT = "mbbspedia:reveal-fragment-heading";
+
+export type RevealFragmentHeadingDetail = {
+  element: Element;
+};
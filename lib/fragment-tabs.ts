@@ -0,0 +1,95 @@
+import { humanizeSlug } from "@/lib/mixedbread/chunk-utils";
+
+export type FragmentTabKey =
+  | "etiology"
+  | "ddx"
+  | "dx"
+  | "mx"
+  | "complications"
+  | "summary"
+  | "memory-palace";
+
+export const FRAGMENT_TAB_LABELS: Record<FragmentTabKey, string> = {
+  etiology: "Etiology",
+  ddx: "DDx",
+  dx: "Dx",
+  mx: "Mx",
+  complications: "Complications",
+  summary: "Summary",
+  "memory-palace": "Memory Palace",
+};
+
+export type FragmentPathParts = {
+  specialty: string;
+  topic: string;
+  /** File name without extension, e.g. `dx` or `history-taking`. */
+  leaf: string;
+};
+
+/**
+ * Splits `.../content/fragments/<specialty>/<topic>/<leaf>.mdx` into its parts.
+ */
+export function getFragmentPathParts(path?: string): FragmentPathParts | null {
+  if (!path) return null;
+
+  const normalized = path.replace(/\\/g, "/");
+  const marker = "content/fragments/";
+  const markerIndex = normalized.indexOf(marker);
+  if (markerIndex < 0) return null;
+
+  const parts = normalized
+    .slice(markerIndex + marker.length)
+    .split("/")
+    .filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const leaf = parts[parts.length - 1].replace(/\.(md|mdx)$/i, "").toLowerCase();
+  return {
+    specialty: parts[0],
+    topic: parts[parts.length - 2],
+    leaf,
+  };
+}
+
+export function toFragmentTabKey(value: string): FragmentTabKey | null {
+  const normalized = value.trim().toLowerCase();
+  return normalized in FRAGMENT_TAB_LABELS ? (normalized as FragmentTabKey) : null;
+}
+
+/**
+ * Tab label of a fragment file, e.g. "DDx" for `.../acute-cholangitis/ddx.mdx`
+ * or "History Taking" for `history-taking.mdx`. Undefined outside
+ * `content/fragments`.
+ */
+export function getFragmentLabel(path?: string): string | undefined {
+  const leaf = getFragmentPathParts(path)?.leaf;
+  if (!leaf) return undefined;
+
+  const tab = toFragmentTabKey(leaf);
+  return tab ? FRAGMENT_TAB_LABELS[tab] : humanizeSlug(leaf);
+}
+
+/**
+ * Scope used to keep citation anchors from different fragments on the same
+ * page apart, e.g. `acute-cholangitis-dx`.
+ */
+export function getCitationScope(path?: string): string | undefined {
+  const parts = getFragmentPathParts(path);
+  if (!parts) return undefined;
+
+  return `${parts.topic}-${parts.leaf}`;
+}
+
+/** Query parameter selecting a fragment tab on page load, e.g. `?tab=dx`. */
+export const FRAGMENT_TAB_PARAM = "tab";
+
+/**
+ * Link to the tab a fragment is shown in and optionally one of its headings,
+ * e.g. `/general-surgery/hbp/acute-cholangitis?tab=dx#diagnostic-criteria`.
+ * Paths outside `content/fragments` link to the page (and heading) only.
+ */
+export function toFragmentDeepLink(url: string, path?: string, headingId?: string): string {
+  const leaf = getFragmentPathParts(path)?.leaf;
+  const search = leaf ? `?${new URLSearchParams({ [FRAGMENT_TAB_PARAM]: leaf })}` : "";
+  return `${url}${search}${headingId ? `#${headingId}` : ""}`;
+}
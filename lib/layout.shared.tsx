@@ -19,5 +19,11 @@ export function baseOptions(): BaseLayoutProps {
         </>
       ),
     },
+    links: [
+      {
+        text: "Review queue",
+        url: "/review",
+      },
+    ],
   };
 }
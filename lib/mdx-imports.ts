@@ -6,14 +6,14 @@ const IMPORT_LINE_RE =
   /^\s*import\s+.+?\s+from\s+["']([^"']+\.mdx?)["'];?\s*$/gm;
 const IMPORT_EXPORT_LINE_RE = /^\s*(import|export)\s.+$/gm;
 
-interface ResolvedImport {
+export interface ResolvedImport {
   path: string;
   content: string;
 }
 
 const fileContentCache = new Map<string, Promise<string>>();
 const resolvedImportCache = new Map<string, Promise<ResolvedImport | null>>();
-const importedMdxTextCache = new Map<string, Promise<string>>();
+const importedMdxFilesCache = new Map<string, Promise<ResolvedImport[]>>();
 
 function readFileCached(filePath: string): Promise<string> {
   const cached = fileContentCache.get(filePath);
@@ -62,33 +62,33 @@ async function resolveLocalMdxImport(
   return pending;
 }
 
-async function collectImportedMdxText(
+async function collectImportedMdxFiles(
   rawMdx: string,
   baseDir: string,
   visited: Set<string>,
-): Promise<string> {
+): Promise<ResolvedImport[]> {
   IMPORT_LINE_RE.lastIndex = 0;
   const matches = Array.from(rawMdx.matchAll(IMPORT_LINE_RE));
-  if (matches.length === 0) return "";
+  if (matches.length === 0) return [];
 
-  const chunks: string[] = [];
+  const files: ResolvedImport[] = [];
   for (const match of matches) {
     const specifier = match[1];
     const imported = await resolveLocalMdxImport(baseDir, specifier);
     if (!imported || visited.has(imported.path)) continue;
 
     visited.add(imported.path);
-    chunks.push(cleanMdxForIndexing(imported.content));
+    files.push(imported);
 
-    const nested = await collectImportedMdxText(
+    const nested = await collectImportedMdxFiles(
       imported.content,
       dirname(imported.path),
       visited,
     );
-    if (nested) chunks.push(nested);
+    files.push(...nested);
   }
 
-  return chunks.join("\n");
+  return files;
 }
 
 async function resolvePageAbsolutePath(pagePath: string): Promise<string | null> {
@@ -109,22 +109,32 @@ async function resolvePageAbsolutePath(pagePath: string): Promise<string | null>
   return null;
 }
 
-export async function getImportedMdxTextForPage(pagePath: string): Promise<string> {
+/**
+ * Local MDX files imported by a docs page, depth-first in import order.
+ */
+export async function getImportedMdxFilesForPage(
+  pagePath: string,
+): Promise<ResolvedImport[]> {
   const absolutePath = await resolvePageAbsolutePath(pagePath);
-  if (!absolutePath) return "";
+  if (!absolutePath) return [];
 
-  const cached = importedMdxTextCache.get(absolutePath);
+  const cached = importedMdxFilesCache.get(absolutePath);
   if (cached) return cached;
 
-  const pending = (async (): Promise<string> => {
+  const pending = (async (): Promise<ResolvedImport[]> => {
     const rawPage = await readFileCached(absolutePath);
-    return collectImportedMdxText(
+    return collectImportedMdxFiles(
       rawPage,
       dirname(absolutePath),
       new Set<string>([absolutePath]),
     );
   })();
 
-  importedMdxTextCache.set(absolutePath, pending);
+  importedMdxFilesCache.set(absolutePath, pending);
   return pending;
 }
+
+export async function getImportedMdxTextForPage(pagePath: string): Promise<string> {
+  const files = await getImportedMdxFilesForPage(pagePath);
+  return files.map((file) => cleanMdxForIndexing(file.content)).join("\n");
+}
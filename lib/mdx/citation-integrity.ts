@@ -0,0 +1,271 @@
+import { parseReferenceLine } from "./remark-citations";
+
+export type CitationIssueCode =
+  | "dangling-citation"
+  | "duplicate-reference"
+  | "references-not-list"
+  | "unused-reference";
+
+export type CitationIssueSeverity = "error" | "warning";
+
+export type CitationIssue = {
+  code: CitationIssueCode;
+  severity: CitationIssueSeverity;
+  message: string;
+  line: number;
+  column: number;
+};
+
+export const CITATION_ISSUE_SEVERITY: Record<CitationIssueCode, CitationIssueSeverity> = {
+  "dangling-citation": "error",
+  "duplicate-reference": "error",
+  "references-not-list": "error",
+  "unused-reference": "warning",
+};
+
+type PositionedNode = {
+  type: string;
+  value?: string;
+  depth?: number;
+  children?: PositionedNode[];
+  position?: { start?: { line?: number; column?: number } };
+};
+
+type NumberedLine = { n: number; line: number };
+
+const SKIP_PARENT_TYPES = new Set([
+  "link",
+  "linkReference",
+  "definition",
+  "heading",
+  "inlineCode",
+  "code",
+]);
+
+const SKIP_DESCEND_TYPES = new Set(["inlineCode", "code", "mdxjsEsm", "heading"]);
+
+function hasChildren(
+  node: PositionedNode | undefined,
+): node is PositionedNode & { children: PositionedNode[] } {
+  return Array.isArray(node?.children);
+}
+
+function getNodeText(node: PositionedNode): string {
+  if (node.type === "text" && typeof node.value === "string") {
+    return node.value;
+  }
+
+  if (!hasChildren(node)) {
+    return "";
+  }
+
+  return node.children.map(getNodeText).join("");
+}
+
+function getLine(node: PositionedNode): number {
+  return node.position?.start?.line ?? 0;
+}
+
+function getColumn(node: PositionedNode): number {
+  return node.position?.start?.column ?? 0;
+}
+
+function isReferencesHeading(node: PositionedNode): boolean {
+  return (
+    node.type === "heading" &&
+    node.depth === 2 &&
+    getNodeText(node).trim().toLowerCase() === "references"
+  );
+}
+
+function createIssue(
+  code: CitationIssueCode,
+  message: string,
+  line: number,
+  column: number,
+): CitationIssue {
+  return {
+    code,
+    severity: CITATION_ISSUE_SEVERITY[code],
+    message,
+    line,
+    column,
+  };
+}
+
+function collectReferenceEntries(blockNode: PositionedNode): {
+  entries: NumberedLine[];
+  invalidLines: number[];
+} {
+  const entries: NumberedLine[] = [];
+  const invalidLines: number[] = [];
+
+  if (blockNode.type === "list" && hasChildren(blockNode)) {
+    for (const itemNode of blockNode.children) {
+      const text = getNodeText(itemNode).replace(/\s+/g, " ").trim();
+      const item = parseReferenceLine(text);
+      if (item) {
+        entries.push({ n: item.n, line: getLine(itemNode) });
+      } else {
+        invalidLines.push(getLine(itemNode));
+      }
+    }
+
+    return { entries, invalidLines };
+  }
+
+  if (blockNode.type === "paragraph") {
+    const startLine = getLine(blockNode);
+    getNodeText(blockNode)
+      .split(/\r?\n/)
+      .forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const item = parseReferenceLine(line);
+        if (item) {
+          entries.push({ n: item.n, line: startLine + index });
+        } else {
+          invalidLines.push(startLine + index);
+        }
+      });
+  }
+
+  return { entries, invalidLines };
+}
+
+function collectInlineCitations(
+  node: PositionedNode,
+  excluded: Set<PositionedNode>,
+  citations: (NumberedLine & { column: number })[],
+): void {
+  if (!hasChildren(node) || excluded.has(node)) {
+    return;
+  }
+
+  for (const child of node.children) {
+    if (excluded.has(child)) continue;
+
+    if (
+      child.type === "text" &&
+      typeof child.value === "string" &&
+      !SKIP_PARENT_TYPES.has(node.type)
+    ) {
+      for (const match of child.value.matchAll(/\[(\d+)\]/g)) {
+        const before = child.value.slice(0, match.index ?? 0);
+        const lineOffset = (before.match(/\n/g) ?? []).length;
+        const lastBreak = before.lastIndexOf("\n");
+        citations.push({
+          n: Number.parseInt(match[1], 10),
+          line: getLine(child) + lineOffset,
+          column:
+            lineOffset === 0
+              ? getColumn(child) + before.length
+              : before.length - lastBreak,
+        });
+      }
+      continue;
+    }
+
+    if (!SKIP_DESCEND_TYPES.has(child.type)) {
+      collectInlineCitations(child, excluded, citations);
+    }
+  }
+}
+
+/**
+ * Check one MDX fragment's mdast for citations that do not line up with its
+ * `## References` section. Run this before `remarkCitations` rewrites the tree.
+ */
+export function collectCitationIssues(tree: unknown): CitationIssue[] {
+  const root = tree as PositionedNode | undefined;
+  if (!root || root.type !== "root" || !hasChildren(root)) {
+    return [];
+  }
+
+  const issues: CitationIssue[] = [];
+  const excluded = new Set<PositionedNode>();
+  const referenceLineByNumber = new Map<number, number>();
+  let hasReferencesSection = false;
+
+  root.children.forEach((node, index) => {
+    if (!isReferencesHeading(node)) return;
+
+    hasReferencesSection = true;
+    excluded.add(node);
+    const next = root.children[index + 1];
+    if (!next || (next.type !== "list" && next.type !== "paragraph")) {
+      issues.push(
+        createIssue(
+          "references-not-list",
+          "References heading is not followed by a list of [n] entries",
+          getLine(node),
+          getColumn(node),
+        ),
+      );
+      return;
+    }
+
+    excluded.add(next);
+    const { entries, invalidLines } = collectReferenceEntries(next);
+    for (const line of invalidLines) {
+      issues.push(
+        createIssue(
+          "references-not-list",
+          "References entry is not in '[n] Source' form",
+          line,
+          1,
+        ),
+      );
+    }
+
+    for (const entry of entries) {
+      const firstLine = referenceLineByNumber.get(entry.n);
+      if (firstLine !== undefined) {
+        issues.push(
+          createIssue(
+            "duplicate-reference",
+            `Reference [${entry.n}] is listed more than once (first on line ${firstLine})`,
+            entry.line,
+            1,
+          ),
+        );
+        continue;
+      }
+      referenceLineByNumber.set(entry.n, entry.line);
+    }
+  });
+
+  const citations: (NumberedLine & { column: number })[] = [];
+  collectInlineCitations(root, excluded, citations);
+  const citedNumbers = new Set<number>();
+
+  for (const citation of citations) {
+    citedNumbers.add(citation.n);
+    if (referenceLineByNumber.has(citation.n)) continue;
+
+    issues.push(
+      createIssue(
+        "dangling-citation",
+        hasReferencesSection
+          ? `Citation [${citation.n}] has no matching References entry`
+          : `Citation [${citation.n}] is used but the fragment has no References section`,
+        citation.line,
+        citation.column,
+      ),
+    );
+  }
+
+  for (const [n, line] of referenceLineByNumber.entries()) {
+    if (citedNumbers.has(n)) continue;
+    issues.push(
+      createIssue("unused-reference", `Reference [${n}] is never cited`, line, 1),
+    );
+  }
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export function formatCitationIssue(filePath: string, issue: CitationIssue): string {
+  return `${filePath}:${issue.line}:${issue.column} ${issue.severity} ${issue.code} ${issue.message}`;
+}
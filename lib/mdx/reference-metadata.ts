@@ -0,0 +1,143 @@
+export const REFERENCE_SOURCE_TYPES = [
+  "guideline",
+  "textbook",
+  "article",
+  "website",
+  "senior-note",
+  "slides",
+  "handout",
+  "other",
+] as const;
+
+export type ReferenceSourceType = (typeof REFERENCE_SOURCE_TYPES)[number];
+
+export type ReferenceMetadata = {
+  type?: ReferenceSourceType;
+  url?: string;
+  doi?: string;
+  pages?: string;
+  licence?: string;
+};
+
+export type ReferenceItem = ReferenceMetadata & {
+  n: number;
+  source: string;
+};
+
+export const REFERENCE_SOURCE_TYPE_LABELS: Record<ReferenceSourceType, string> = {
+  guideline: "Guideline",
+  textbook: "Textbook",
+  article: "Article",
+  website: "Website",
+  "senior-note": "Senior note",
+  slides: "Lecture slides",
+  handout: "Handout",
+  other: "Source",
+};
+
+const SOURCE_TYPE_ALIASES: Record<string, ReferenceSourceType> = {
+  guideline: "guideline",
+  guidelines: "guideline",
+  textbook: "textbook",
+  book: "textbook",
+  article: "article",
+  journal: "article",
+  paper: "article",
+  website: "website",
+  web: "website",
+  "senior-note": "senior-note",
+  "senior-notes": "senior-note",
+  "senior note": "senior-note",
+  "senior notes": "senior-note",
+  slides: "slides",
+  slide: "slides",
+  "lecture slides": "slides",
+  "lecture-slides": "slides",
+  handout: "handout",
+  handouts: "handout",
+  other: "other",
+};
+
+const METADATA_KEY_ALIASES: Record<string, keyof ReferenceMetadata> = {
+  type: "type",
+  url: "url",
+  link: "url",
+  doi: "doi",
+  pages: "pages",
+  page: "pages",
+  pp: "pages",
+  licence: "licence",
+  license: "licence",
+};
+
+// Free-text labels the note generator has always used, e.g. "Senior notes: x.md".
+const SOURCE_PREFIX_TYPES: Array<[RegExp, ReferenceSourceType]> = [
+  [/^lecture slides?\s*:/i, "slides"],
+  [/^senior notes?\s*:/i, "senior-note"],
+  [/^guidelines?\s*:/i, "guideline"],
+  [/^textbook\s*:/i, "textbook"],
+];
+
+export function toReferenceSourceType(value: string): ReferenceSourceType | undefined {
+  return SOURCE_TYPE_ALIASES[value.trim().toLowerCase().replace(/_/g, "-")];
+}
+
+export function inferReferenceSourceType(source: string): ReferenceSourceType | undefined {
+  for (const [pattern, type] of SOURCE_PREFIX_TYPES) {
+    if (pattern.test(source.trim())) return type;
+  }
+
+  return undefined;
+}
+
+function normalizeDoi(value: string): string {
+  return value.trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, "");
+}
+
+/**
+ * Splits a reference body into its display text and optional metadata.
+ *
+ * Metadata follows the text as `| key: value` segments, e.g.
+ * `Tokyo Guidelines 2018 | type: guideline | doi: 10.1002/jhbp.512 | pages: 17-30 | licence: CC BY 4.0`.
+ * Braces are avoided on purpose because MDX would read them as expressions.
+ * Plain free text still works and gets a type inferred from its label prefix.
+ */
+export function parseReferenceSource(text: string): Omit<ReferenceItem, "n"> {
+  const [head, ...segments] = text.split(/\s+\|\s+/);
+  const titleParts = [head];
+  const metadata: ReferenceMetadata = {};
+
+  for (const segment of segments) {
+    const match = segment.match(/^([a-z]+)\s*:\s*(.+)$/i);
+    const key = match ? METADATA_KEY_ALIASES[match[1].toLowerCase()] : undefined;
+    if (!match || !key) {
+      titleParts.push(segment);
+      continue;
+    }
+
+    const value = match[2].trim();
+    if (key === "type") {
+      const type = toReferenceSourceType(value);
+      if (type) metadata.type = type;
+    } else if (key === "doi") {
+      metadata.doi = normalizeDoi(value);
+    } else {
+      metadata[key] = value;
+    }
+  }
+
+  const source = titleParts.join(" | ").trim();
+  const type = metadata.type ?? inferReferenceSourceType(source);
+
+  return {
+    source,
+    ...metadata,
+    ...(type ? { type } : {}),
+  };
+}
+
+export function getReferenceHref(item: ReferenceMetadata): string | undefined {
+  if (item.url && /^https?:\/\//i.test(item.url)) return item.url;
+  if (item.doi) return `https://doi.org/${item.doi}`;
+  return undefined;
+}
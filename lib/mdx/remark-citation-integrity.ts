@@ -0,0 +1,80 @@
+import { relative } from "node:path";
+import {
+  collectCitationIssues,
+  formatCitationIssue,
+} from "./citation-integrity";
+
+type CitationCheckMode = "off" | "warn" | "strict";
+
+type RemarkCitationIntegrityOptions = {
+  mode?: CitationCheckMode;
+};
+
+type VFileLike = {
+  path?: string;
+  history?: string[];
+  message?: (
+    reason: string,
+    options: {
+      place: { line: number; column: number };
+      ruleId: string;
+      source: string;
+    },
+  ) => unknown;
+};
+
+function getFilePath(file?: VFileLike): string {
+  if (!file) return "";
+
+  const rawPath = file.path ?? file.history?.[0] ?? "";
+  return rawPath.replace(/\\/g, "/");
+}
+
+function readModeFromEnv(): CitationCheckMode {
+  const value = process.env.CITATION_CHECK?.trim().toLowerCase();
+  if (value === "off" || value === "strict") return value;
+  return "warn";
+}
+
+/**
+ * Reports inline citations that do not match the fragment's References
+ * section. Must run before `remarkCitations`, which rewrites both.
+ *
+ * `CITATION_CHECK=strict` fails the build on error-level issues;
+ * `CITATION_CHECK=off` disables the check.
+ */
+export function remarkCitationIntegrity(options: RemarkCitationIntegrityOptions = {}) {
+  const mode = options.mode ?? readModeFromEnv();
+
+  return (tree: unknown, file?: VFileLike) => {
+    if (mode === "off") {
+      return;
+    }
+
+    const issues = collectCitationIssues(tree);
+    if (issues.length === 0) {
+      return;
+    }
+
+    const filePath = getFilePath(file);
+    const displayPath = filePath ? relative(process.cwd(), filePath) : "<unknown>";
+
+    for (const issue of issues) {
+      file?.message?.(issue.message, {
+        place: { line: issue.line, column: issue.column },
+        ruleId: issue.code,
+        source: "citation-integrity",
+      });
+    }
+
+    const errors = issues.filter((issue) => issue.severity === "error");
+    if (mode === "strict" && errors.length > 0) {
+      throw new Error(
+        [
+          `Citation integrity check failed with ${errors.length} error(s):`,
+          ...errors.map((issue) => formatCitationIssue(displayPath, issue)),
+        ].join("\n"),
+      );
+    }
+  };
+}
@@ -1,3 +1,8 @@
+import { getCitationScope } from "../fragment-tabs";
+import { parseReferenceSource, type ReferenceItem } from "./reference-metadata";
+
+export type { ReferenceItem };
+
 type UnknownNode = {
   type: string;
   value?: string;
@@ -7,16 +12,16 @@ type UnknownNode = {
   children?: UnknownNode[];
 };
 
-type ReferenceItem = {
-  n: number;
-  source: string;
-};
-
 type RootNode = UnknownNode & {
   type: "root";
   children: UnknownNode[];
 };
 
+type VFileLike = {
+  path?: string;
+  history?: string[];
+};
+
 function hasChildren(node: UnknownNode): node is UnknownNode & { children: UnknownNode[] } {
   return Array.isArray(node.children);
 }
@@ -41,7 +46,7 @@ function isReferencesHeading(node: UnknownNode): boolean {
   return getNodeText(node).trim().toLowerCase() === "references";
 }
 
-function parseReferenceLine(line: string): ReferenceItem | null {
+export function parseReferenceLine(line: string): ReferenceItem | null {
   const match = line
     .trim()
     .match(/^(?:[-*+]\s*)?(?:\d+\.\s*)?\[(\d+)\]\s+(.+?)\s*$/);
@@ -56,7 +61,7 @@ function parseReferenceLine(line: string): ReferenceItem | null {
 
   return {
     n,
-    source: match[2].trim(),
+    ...parseReferenceSource(match[2].trim()),
   };
 }
 
@@ -82,16 +87,52 @@ function parseReferenceItems(listNode: UnknownNode): ReferenceItem[] {
   return items;
 }
 
-function replaceReferencesSections(tree: RootNode): void {
+// Generated fragments write references as one "[n] Source" line per soft
+// break rather than as a markdown list, so accept that shape as well.
+function parseReferenceParagraph(paragraphNode: UnknownNode): ReferenceItem[] {
+  if (paragraphNode.type !== "paragraph" || !hasChildren(paragraphNode)) {
+    return [];
+  }
+
+  const lines = getNodeText(paragraphNode)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const items = lines
+    .map(parseReferenceLine)
+    .filter((item): item is ReferenceItem => item !== null);
+
+  return items.length === lines.length ? items : [];
+}
+
+function parseReferencesBlock(node: UnknownNode): ReferenceItem[] {
+  return node.type === "list"
+    ? parseReferenceItems(node)
+    : parseReferenceParagraph(node);
+}
+
+function createScopeAttributes(scope: string | undefined): unknown[] {
+  return scope ? [{ type: "mdxJsxAttribute", name: "scope", value: scope }] : [];
+}
+
+function replaceReferencesSections(
+  tree: RootNode,
+  scope: string | undefined,
+): Map<number, ReferenceItem> {
   const nextChildren: UnknownNode[] = [];
+  const referencesByNumber = new Map<number, ReferenceItem>();
   let i = 0;
 
   while (i < tree.children.length) {
     const current = tree.children[i];
     const next = tree.children[i + 1];
+    const items = isReferencesHeading(current) && next ? parseReferencesBlock(next) : [];
+
+    if (items.length > 0) {
+      for (const item of items) {
+        referencesByNumber.set(item.n, item);
+      }
 
-    if (isReferencesHeading(current) && next && next.type === "list") {
-      const items = parseReferenceItems(next);
       const node: UnknownNode = {
         type: "mdxJsxFlowElement",
         name: "References",
@@ -99,11 +140,9 @@ function replaceReferencesSections(tree: RootNode): void {
           {
             type: "mdxJsxAttribute",
             name: "items",
-            value: {
-              type: "mdxJsxAttributeValueExpression",
-              value: JSON.stringify(items),
-            },
+            value: JSON.stringify(items),
           },
+          ...createScopeAttributes(scope),
         ],
         children: [],
       };
@@ -118,6 +157,7 @@ function replaceReferencesSections(tree: RootNode): void {
   }
 
   tree.children = nextChildren;
+  return referencesByNumber;
 }
 
 const SKIP_REWRITE_IN_PARENT = new Set([
@@ -131,11 +171,46 @@ const SKIP_REWRITE_IN_PARENT = new Set([
 
 const SKIP_DESCEND = new Set(["inlineCode", "code", "mdxjsEsm", "heading"]);
 
-function splitTextWithCitations(value: string): UnknownNode[] {
+type CitationContext = {
+  referencesByNumber: Map<number, ReferenceItem>;
+  scope?: string;
+};
+
+function createCiteNode(numbers: number[], context: CitationContext): UnknownNode {
+  const sources = numbers
+    .map((n) => context.referencesByNumber.get(n))
+    .filter((item): item is ReferenceItem => item !== undefined);
+  const attributes: unknown[] = [
+    {
+      type: "mdxJsxAttribute",
+      name: "n",
+      value: numbers.join(","),
+    },
+    ...createScopeAttributes(context.scope),
+  ];
+
+  if (sources.length > 0) {
+    attributes.push({
+      type: "mdxJsxAttribute",
+      name: "sources",
+      value: JSON.stringify(sources),
+    });
+  }
+
+  return {
+    type: "mdxJsxTextElement",
+    name: "Cite",
+    attributes,
+    children: [],
+  };
+}
+
+function splitTextWithCitations(value: string, context: CitationContext): UnknownNode[] {
   const nodes: UnknownNode[] = [];
   let cursor = 0;
 
-  for (const match of value.matchAll(/\[(\d+)\]/g)) {
+  // Adjacent markers such as "[1][3]" become one Cite so they share a preview.
+  for (const match of value.matchAll(/(?:\[\d+\])+/g)) {
     const start = match.index ?? 0;
     const end = start + match[0].length;
 
@@ -146,18 +221,10 @@ function splitTextWithCitations(value: string): UnknownNode[] {
       });
     }
 
-    nodes.push({
-      type: "mdxJsxTextElement",
-      name: "Cite",
-      attributes: [
-        {
-          type: "mdxJsxAttribute",
-          name: "n",
-          value: match[1],
-        },
-      ],
-      children: [],
-    });
+    const numbers = Array.from(match[0].matchAll(/\d+/g), (part) =>
+      Number.parseInt(part[0], 10),
+    );
+    nodes.push(createCiteNode(numbers, context));
 
     cursor = end;
   }
@@ -172,7 +239,7 @@ function splitTextWithCitations(value: string): UnknownNode[] {
   return nodes.length > 0 ? nodes : [{ type: "text", value }];
 }
 
-function rewriteInlineCitations(node: UnknownNode): void {
+function rewriteInlineCitations(node: UnknownNode, context: CitationContext): void {
   if (!hasChildren(node)) {
     return;
   }
@@ -185,11 +252,11 @@ function rewriteInlineCitations(node: UnknownNode): void {
       typeof child.value === "string" &&
       !SKIP_REWRITE_IN_PARENT.has(node.type)
     ) {
-      nextChildren.push(...splitTextWithCitations(child.value));
+      nextChildren.push(...splitTextWithCitations(child.value, context));
     } else {
       nextChildren.push(child);
       if (!SKIP_DESCEND.has(child.type)) {
-        rewriteInlineCitations(child);
+        rewriteInlineCitations(child, context);
       }
     }
   }
@@ -198,12 +265,14 @@ function rewriteInlineCitations(node: UnknownNode): void {
 }
 
 export function remarkCitations() {
-  return (tree: UnknownNode) => {
+  return (tree: UnknownNode, file?: VFileLike) => {
     if (tree.type !== "root" || !hasChildren(tree)) {
       return;
     }
 
-    replaceReferencesSections(tree as RootNode);
-    rewriteInlineCitations(tree);
+    // Fragments share one page, so their anchors are scoped per fragment.
+    const scope = getCitationScope(file?.path ?? file?.history?.[0]);
+    const referencesByNumber = replaceReferencesSections(tree as RootNode, scope);
+    rewriteInlineCitations(tree, { referencesByNumber, scope });
   };
 }
@@ -0,0 +1,116 @@
+import { getCitationScope, getFragmentLabel } from "@/lib/fragment-tabs";
+import { getImportedMdxFilesForPage } from "@/lib/mdx-imports";
+import { parseReferenceLine, type ReferenceItem } from "@/lib/mdx/remark-citations";
+
+const REFERENCES_HEADING_RE = /^##\s+references\s*$/i;
+const ANY_HEADING_RE = /^#{1,6}\s/;
+
+export type UnifiedReferenceOrigin = {
+  scope: string;
+  label: string;
+  n: number;
+};
+
+export type UnifiedReferenceItem = ReferenceItem & {
+  origins: UnifiedReferenceOrigin[];
+};
+
+/** Fragment scope -> original citation number -> page-wide number. */
+export type CitationNumbering = Record<string, Record<string, number>>;
+
+export type PageCitationIndex = {
+  sources: UnifiedReferenceItem[];
+  numbering: CitationNumbering;
+};
+
+/** A parsed References entry and its 1-based line in the file. */
+export type ReferenceLineMatch = {
+  line: number;
+  item: ReferenceItem;
+};
+
+/**
+ * Reads every `[n] Source` line under `## References` headings in raw MDX,
+ * with the line it was found on.
+ */
+export function extractReferenceLines(rawMdx: string): ReferenceLineMatch[] {
+  const matches: ReferenceLineMatch[] = [];
+  let inReferences = false;
+
+  rawMdx.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (REFERENCES_HEADING_RE.test(line)) {
+      inReferences = true;
+      return;
+    }
+    if (ANY_HEADING_RE.test(line)) {
+      inReferences = false;
+      return;
+    }
+    if (!inReferences || !line) return;
+
+    const parsed = parseReferenceLine(line);
+    if (parsed) matches.push({ line: index + 1, item: parsed });
+  });
+
+  return matches;
+}
+
+/**
+ * Reads every `[n] Source` line under `## References` headings in raw MDX.
+ */
+export function extractReferenceItems(rawMdx: string): ReferenceItem[] {
+  return extractReferenceLines(rawMdx).map(({ item }) => item);
+}
+
+function toDedupeKey(source: string): string {
+  return source
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[.;,\s]+$/, "")
+    .trim();
+}
+
+/**
+ * Merges the References sections of every fragment a page imports into one
+ * de-duplicated list, numbered in tab order, plus the mapping each fragment
+ * needs to renumber its inline citations.
+ */
+export async function getPageCitationIndex(pagePath: string): Promise<PageCitationIndex> {
+  const files = await getImportedMdxFilesForPage(pagePath);
+  const sourceByKey = new Map<string, UnifiedReferenceItem>();
+  const numbering: CitationNumbering = {};
+
+  for (const file of files) {
+    const scope = getCitationScope(file.path);
+    if (!scope) continue;
+
+    const label = getFragmentLabel(file.path) ?? "";
+    const items = extractReferenceItems(file.content).sort((a, b) => a.n - b.n);
+    const scopeNumbering: Record<string, number> = {};
+
+    for (const item of items) {
+      if (scopeNumbering[item.n] !== undefined) continue;
+
+      const key = toDedupeKey(item.source);
+      let unified = sourceByKey.get(key);
+      if (!unified) {
+        unified = { ...item, n: sourceByKey.size + 1, origins: [] };
+        sourceByKey.set(key, unified);
+      } else {
+        // Later fragments may carry metadata the first occurrence left out.
+        Object.assign(unified, { ...item, ...unified });
+      }
+
+      unified.origins.push({ scope, label, n: item.n });
+      scopeNumbering[item.n] = unified.n;
+    }
+
+    numbering[scope] = scopeNumbering;
+  }
+
+  return {
+    sources: Array.from(sourceByKey.values()),
+    numbering,
+  };
+}
@@ -5,7 +5,29 @@ import path from "node:path";
 
 export const MANIFEST_VERSION = "v1";
 
-export function resolveCachePaths(cacheDir) {
+export type FileFingerprint = {
+  absolutePath: string;
+  size: number;
+  mtimeMs: number;
+  sha256: string;
+};
+
+/** `manifest.json` of a RAG cache directory written by `npm run index:rag`. */
+export type RagManifest = {
+  manifestVersion: string;
+  createdAt: string;
+  updatedAt: string;
+  chunkingVersion: string;
+  embeddingModel: string;
+  /** Per source file: its fingerprint and `artifactDir`, relative to the cache. */
+  sources: Record<string, Record<string, unknown>>;
+};
+
+function isErrnoCode(error: unknown, ...codes: string[]): boolean {
+  return codes.includes((error as NodeJS.ErrnoException | null)?.code ?? "");
+}
+
+export function resolveCachePaths(cacheDir: string): { baseDir: string; manifestPath: string } {
   const baseDir = path.resolve(process.cwd(), cacheDir);
   return {
     baseDir,
@@ -13,46 +35,45 @@ export function resolveCachePaths(cacheDir) {
   };
 }
 
-export async function ensureDir(dirPath) {
+export async function ensureDir(dirPath: string): Promise<void> {
   await mkdir(dirPath, { recursive: true });
 }
 
-export async function readJsonIfExists(filePath, fallback = null) {
+/** Parsed JSON, or `fallback` when the file does not exist. */
+export async function readJsonIfExists<T = unknown>(
+  filePath: string,
+  fallback: NoInfer<T> | null = null,
+): Promise<T | null> {
   try {
     const raw = await readFile(filePath, "utf8");
-    return JSON.parse(raw);
+    return JSON.parse(raw) as T;
   } catch (error) {
-    if (
-      error &&
-      typeof error === "object" &&
-      "code" in error &&
-      (error.code === "ENOENT" || error.code === "EISDIR")
-    ) {
+    if (isErrnoCode(error, "ENOENT", "EISDIR")) {
       return fallback;
     }
     throw error;
   }
 }
 
-export async function writeJsonAtomic(filePath, data) {
+export async function writeJsonAtomic(filePath: string, data: unknown): Promise<void> {
   await ensureDir(path.dirname(filePath));
   const tempPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
   await writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, "utf8");
   await rename(tempPath, filePath);
 }
 
-export async function deleteFileIfExists(filePath) {
+export async function deleteFileIfExists(filePath: string): Promise<void> {
   try {
     await unlink(filePath);
   } catch (error) {
-    if (error && typeof error === "object" && "code" in error && error.code === "ENOENT") {
+    if (isErrnoCode(error, "ENOENT")) {
       return;
     }
     throw error;
   }
 }
 
-export async function hashFileSha256(filePath) {
+export async function hashFileSha256(filePath: string): Promise<string> {
   return await new Promise((resolve, reject) => {
     const hash = createHash("sha256");
     const stream = createReadStream(filePath);
@@ -63,7 +84,7 @@ export async function hashFileSha256(filePath) {
   });
 }
 
-export async function fingerprintFile(filePath) {
+export async function fingerprintFile(filePath: string): Promise<FileFingerprint> {
   const absolutePath = path.resolve(process.cwd(), filePath);
   const fileStat = await stat(absolutePath);
   if (!fileStat.isFile()) {
@@ -79,8 +100,8 @@ export async function fingerprintFile(filePath) {
   };
 }
 
-export async function readManifest(manifestPath) {
-  const manifest = await readJsonIfExists(manifestPath, null);
+export async function readManifest(manifestPath: string): Promise<RagManifest> {
+  const manifest = await readJsonIfExists<Partial<RagManifest>>(manifestPath, null);
   if (!manifest) {
     return {
       manifestVersion: MANIFEST_VERSION,
@@ -102,7 +123,7 @@ export async function readManifest(manifestPath) {
   };
 }
 
-export async function writeManifest(manifestPath, manifest) {
+export async function writeManifest(manifestPath: string, manifest: RagManifest): Promise<void> {
   const payload = {
     ...manifest,
     updatedAt: new Date().toISOString(),
@@ -110,7 +131,10 @@ export async function writeManifest(manifestPath, manifest) {
   await writeJsonAtomic(manifestPath, payload);
 }
 
-export function isFingerprintMatch(entry, fingerprint) {
+export function isFingerprintMatch(
+  entry: Partial<Record<keyof FileFingerprint, unknown>> | null | undefined,
+  fingerprint: FileFingerprint | null | undefined,
+): boolean {
   if (!entry || !fingerprint) {
     return false;
   }
@@ -122,10 +146,10 @@ export function isFingerprintMatch(entry, fingerprint) {
   );
 }
 
-export function relFromCache(cacheBaseDir, absolutePath) {
+export function relFromCache(cacheBaseDir: string, absolutePath: string): string {
   return path.relative(cacheBaseDir, absolutePath);
 }
 
-export function absFromCache(cacheBaseDir, relativePath) {
+export function absFromCache(cacheBaseDir: string, relativePath: string): string {
   return path.resolve(cacheBaseDir, relativePath);
 }
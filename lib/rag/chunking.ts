@@ -1,17 +1,26 @@
+import { findMedicalSynonyms, RELATED_MEDICAL_TERMS } from "@/lib/search/medical-synonyms";
+
 export const CHUNK_MAX_CHARS = 2200;
 export const CHUNK_OVERLAP_CHARS = 200;
 export const CHUNKING_VERSION = "v1";
 
-export function previewText(text, length = 120) {
-  return String(text ?? "")
-    .replace(/\s+/g, " ")
-    .slice(0, length);
+export type RagTextChunk = {
+  id: string;
+  sourceName: string;
+  sourcePath: string;
+  text: string;
+};
+
+const RELATED_TERMS: Record<string, string[]> = RELATED_MEDICAL_TERMS;
+
+export function previewText(text: string | null | undefined, length = 120): string {
+  return (text ?? "").replace(/\s+/g, " ").slice(0, length);
 }
 
-export function toTokens(value) {
+export function toTokens(value: string | null | undefined): string[] {
   return Array.from(
     new Set(
-      String(value ?? "")
+      (value ?? "")
         .toLowerCase()
         .replace(/[^a-z0-9\s]/g, " ")
         .split(/\s+/)
@@ -21,32 +30,11 @@ export function toTokens(value) {
   );
 }
 
-export function buildTopicTerms(topic) {
+export function buildTopicTerms(topic: string): string[] {
   const terms = new Set(toTokens(topic));
 
-  const synonymMap = {
-    pancreatitis: ["pancreas", "pancreatic", "hbp", "hepatobiliary"],
-    pancreas: ["pancreatic", "pancreatitis"],
-    intestinal: ["bowel", "gut", "ileus", "obstruction"],
-    bowel: ["intestinal", "colorectal", "gut"],
-    cancer: ["carcinoma", "malignancy", "tumour", "tumor", "oncology"],
-    carcinoma: ["cancer", "malignancy"],
-    hernia: ["inguinal", "femoral", "umbilical", "incisional"],
-    thyroid: ["goitre", "goiter", "endocrine"],
-    cholangitis: ["biliary", "gallstone", "cholecystitis"],
-    cholangio: ["biliary", "cholangitis"],
-    liver: ["hepatic", "hbp", "hepatobiliary"],
-    breast: ["mammary"],
-    trauma: ["injury", "shock", "resuscitation"],
-    stroke: ["cerebrovascular", "intracranial"],
-    appendicitis: ["appendix", "rlq", "acute abdomen"],
-    jaundice: ["biliary", "hepatobiliary", "cholestasis"],
-    obstruction: ["occlusion", "ileus"],
-    bleeding: ["haemorrhage", "hemorrhage", "ugib", "lgib"],
-  };
-
   for (const token of Array.from(terms)) {
-    const directSynonyms = synonymMap[token] ?? [];
+    const directSynonyms = RELATED_TERMS[token] ?? [];
     for (const synonym of directSynonyms) {
       terms.add(synonym);
     }
@@ -57,7 +45,7 @@ export function buildTopicTerms(topic) {
   }
 
   const topicLower = String(topic ?? "").toLowerCase();
-  for (const [key, synonyms] of Object.entries(synonymMap)) {
+  for (const [key, synonyms] of Object.entries(RELATED_TERMS)) {
     if (topicLower.includes(key)) {
       terms.add(key);
       for (const synonym of synonyms) {
@@ -66,11 +54,20 @@ export function buildTopicTerms(topic) {
     }
   }
 
+  // Abbreviations, spellings and eponyms from the shared dictionary. Forms
+  // under four letters (PE, ECT) would match inside unrelated words in
+  // `lexicalScore`, which compares substrings.
+  for (const synonym of findMedicalSynonyms(topic)) {
+    if (synonym.length >= 4) {
+      terms.add(synonym);
+    }
+  }
+
   return Array.from(terms);
 }
 
-export function lexicalScore(text, terms) {
-  const lower = String(text ?? "").toLowerCase();
+export function lexicalScore(text: string | null | undefined, terms: string[]): number {
+  const lower = (text ?? "").toLowerCase();
   let score = 0;
 
   for (const term of terms) {
@@ -86,9 +83,13 @@ export function lexicalScore(text, terms) {
   return score;
 }
 
-export function splitLongSection(text, maxChars = CHUNK_MAX_CHARS, overlapChars = CHUNK_OVERLAP_CHARS) {
+export function splitLongSection(
+  text: string,
+  maxChars = CHUNK_MAX_CHARS,
+  overlapChars = CHUNK_OVERLAP_CHARS,
+): string[] {
   const normalized = String(text ?? "");
-  const parts = [];
+  const parts: string[] = [];
   let start = 0;
 
   while (start < normalized.length) {
@@ -113,10 +114,10 @@ export function splitLongSection(text, maxChars = CHUNK_MAX_CHARS, overlapChars
   return parts;
 }
 
-export function splitIntoSections(text) {
+export function splitIntoSections(text: string): string[] {
   const lines = String(text ?? "").split(/\r?\n/);
-  const sections = [];
-  let current = [];
+  const sections: string[] = [];
+  let current: string[] = [];
 
   const headingPattern = /^(#{1,6}\s+|chapter\s+\d+[:\s])/i;
 
@@ -139,9 +140,19 @@ export function splitIntoSections(text) {
   return sections.filter((section) => section.trim().length > 0);
 }
 
-export function buildChunksFromText({ text, prefix, sourceName, sourcePath }) {
+export function buildChunksFromText({
+  text,
+  prefix,
+  sourceName,
+  sourcePath,
+}: {
+  text: string;
+  prefix: string;
+  sourceName: string;
+  sourcePath: string;
+}): RagTextChunk[] {
   const sections = splitIntoSections(text);
-  const chunks = [];
+  const chunks: RagTextChunk[] = [];
 
   let index = 1;
   for (const section of sections) {
@@ -165,7 +176,7 @@ export function buildChunksFromText({ text, prefix, sourceName, sourcePath }) {
   return chunks;
 }
 
-export function normalizeMinMax(values) {
+export function normalizeMinMax(values: number[]): number[] {
   if (!Array.isArray(values) || values.length === 0) {
     return [];
   }
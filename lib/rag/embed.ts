@@ -2,7 +2,13 @@ import { embed, embedMany } from "ai";
 
 export const DEFAULT_EMBEDDING_MODEL = "openai/text-embedding-3-large";
 
-export async function embedSingleValue({ model = DEFAULT_EMBEDDING_MODEL, value }) {
+export async function embedSingleValue({
+  model = DEFAULT_EMBEDDING_MODEL,
+  value,
+}: {
+  model?: string;
+  value: string;
+}) {
   const { embedding, usage } = await embed({
     model,
     value,
@@ -16,6 +22,10 @@ export async function embedValues({
   model = DEFAULT_EMBEDDING_MODEL,
   values,
   maxParallelCalls = 4,
+}: {
+  model?: string;
+  values: string[];
+  maxParallelCalls?: number;
 }) {
   if (!Array.isArray(values) || values.length === 0) {
     return { embeddings: [], usage: undefined };
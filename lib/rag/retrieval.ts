@@ -1,12 +1,26 @@
 import { cosineSimilarity } from "ai";
-import {
-  buildTopicTerms,
-  lexicalScore,
-  normalizeMinMax,
-  previewText,
-} from "./rag-chunking.mjs";
-
-const SECTION_QUERY_MAP = {
+import { buildTopicTerms, lexicalScore, normalizeMinMax, previewText } from "@/lib/rag/chunking";
+
+type HybridScores = {
+  lexicalScore: number;
+  semanticScore: number;
+  score: number;
+};
+
+type RankedCandidate = {
+  id: string;
+  score: number;
+  sourceGroup?: string;
+};
+
+type ContextChunk = {
+  id: string;
+  text: string;
+  sourceName: string;
+  sourceGroup: string;
+};
+
+const SECTION_QUERY_MAP: Record<string, string> = {
   Etiology:
     "definition epidemiology risk factors etiology pathophysiology anatomy clinical basis",
   DDx: "differential diagnosis distinguishing features red flags pitfalls",
@@ -15,33 +29,45 @@ const SECTION_QUERY_MAP = {
   Complications: "complications sequelae prognosis prevention follow-up",
 };
 
-export function buildSectionQuery(topic, sectionName) {
+function safeCosineSimilarity(queryEmbedding: number[] | null | undefined, embedding: unknown): number {
+  if (!queryEmbedding || !Array.isArray(embedding)) {
+    return 0;
+  }
+
+  try {
+    return cosineSimilarity(queryEmbedding, embedding);
+  } catch {
+    return 0;
+  }
+}
+
+export function buildSectionQuery(topic: string, sectionName: string): string {
   const sectionHint = SECTION_QUERY_MAP[sectionName] ?? sectionName.toLowerCase();
   return `${topic}\nSection: ${sectionName}\nFocus: ${sectionHint}`;
 }
 
-export function rankSlideFilesByHybrid({
+export function rankSlideFilesByHybrid<
+  T extends { fileName: string; summaryText?: string | null; summaryEmbedding?: unknown },
+>({
   topic,
   slideFiles,
   queryEmbedding,
   lexicalWeight = 0.45,
   semanticWeight = 0.55,
-}) {
+}: {
+  topic: string;
+  slideFiles: T[];
+  queryEmbedding?: number[] | null;
+  lexicalWeight?: number;
+  semanticWeight?: number;
+}): (T & HybridScores)[] {
   const terms = buildTopicTerms(topic);
   const lexicalRaw = slideFiles.map((file) =>
     lexicalScore(`${file.fileName}\n${file.summaryText ?? ""}`, terms),
   );
-  const semanticRaw = slideFiles.map((file) => {
-    if (!queryEmbedding || !Array.isArray(file.summaryEmbedding)) {
-      return 0;
-    }
-
-    try {
-      return cosineSimilarity(queryEmbedding, file.summaryEmbedding);
-    } catch {
-      return 0;
-    }
-  });
+  const semanticRaw = slideFiles.map((file) =>
+    safeCosineSimilarity(queryEmbedding, file.summaryEmbedding),
+  );
 
   const lexicalNorm = normalizeMinMax(lexicalRaw);
   const semanticNorm = normalizeMinMax(semanticRaw);
@@ -57,32 +83,26 @@ export function rankSlideFilesByHybrid({
     .sort((a, b) => b.score - a.score || a.fileName.localeCompare(b.fileName));
 }
 
-export function rankChunksHybrid({
+export function rankChunksHybrid<T extends { id: string; text: string }>({
   query,
   chunks,
   embeddingById,
   queryEmbedding,
   lexicalWeight = 0.4,
   semanticWeight = 0.6,
-}) {
+}: {
+  query: string;
+  chunks: T[];
+  embeddingById: Map<string, number[]>;
+  queryEmbedding?: number[] | null;
+  lexicalWeight?: number;
+  semanticWeight?: number;
+}): (T & HybridScores)[] {
   const terms = buildTopicTerms(query);
   const lexicalRaw = chunks.map((chunk) => lexicalScore(chunk.text, terms));
-  const semanticRaw = chunks.map((chunk) => {
-    if (!queryEmbedding) {
-      return 0;
-    }
-
-    const embedding = embeddingById.get(chunk.id);
-    if (!Array.isArray(embedding)) {
-      return 0;
-    }
-
-    try {
-      return cosineSimilarity(queryEmbedding, embedding);
-    } catch {
-      return 0;
-    }
-  });
+  const semanticRaw = chunks.map((chunk) =>
+    safeCosineSimilarity(queryEmbedding, embeddingById.get(chunk.id)),
+  );
 
   const lexicalNorm = normalizeMinMax(lexicalRaw);
   const semanticNorm = normalizeMinMax(semanticRaw);
@@ -98,14 +118,21 @@ export function rankChunksHybrid({
     .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
 }
 
-export function mergeSourceBalanced({
+export function mergeSourceBalanced<T extends RankedCandidate>({
   rankedSources,
   rankedFelix,
   rankedMaxim,
   rankedSlides,
   perSourceCap = 12,
   candidateLimit = 60,
-}) {
+}: {
+  rankedSources?: { sourceGroup?: string; items?: T[] }[];
+  rankedFelix?: T[];
+  rankedMaxim?: T[];
+  rankedSlides?: T[];
+  perSourceCap?: number;
+  candidateLimit?: number;
+}): (T & { sourceGroup: string })[] {
   const sources = Array.isArray(rankedSources) && rankedSources.length > 0
     ? rankedSources
     : [
@@ -114,7 +141,7 @@ export function mergeSourceBalanced({
         { sourceGroup: "slides", items: rankedSlides ?? [] },
       ];
 
-  const merged = [];
+  const merged: (T & { sourceGroup: string })[] = [];
   for (const source of sources) {
     const sourceGroup = String(source?.sourceGroup ?? "unknown");
     const items = Array.isArray(source?.items) ? source.items : [];
@@ -129,23 +156,28 @@ export function mergeSourceBalanced({
   return merged.slice(0, candidateLimit);
 }
 
-export function assembleSectionContext({
+export function assembleSectionContext<T extends ContextChunk>({
   selectedChunks,
   contextBudgetChars = 28000,
   groupedTitles,
   groupOrder,
-}) {
-  const defaultGroupedTitles = {
+}: {
+  selectedChunks: T[];
+  contextBudgetChars?: number;
+  groupedTitles?: Record<string, string>;
+  groupOrder?: string[];
+}): { contextText: string; usedChars: number; selected: T[] } {
+  const defaultGroupedTitles: Record<string, string> = {
     felix: "### Felix Scout (Indexed)",
     maxim: "### Maxim Scout (Indexed)",
     slides: "### BlockB Slides (Indexed)",
   };
-  const titleByGroup = {
+  const titleByGroup: Record<string, string> = {
     ...defaultGroupedTitles,
     ...(groupedTitles ?? {}),
   };
 
-  const selected = [];
+  const selected: T[] = [];
   let usedChars = 0;
 
   for (const chunk of selectedChunks) {
@@ -163,7 +195,7 @@ export function assembleSectionContext({
       ? groupOrder
       : Array.from(new Set(selected.map((item) => item.sourceGroup)));
 
-  const parts = [];
+  const parts: string[] = [];
   for (const group of resolvedGroupOrder) {
     const groupItems = selected.filter((item) => item.sourceGroup === group);
     if (groupItems.length === 0) {
@@ -188,7 +220,10 @@ export function assembleSectionContext({
   };
 }
 
-export function summarizeCandidatePreview(candidates, limit = 5) {
+export function summarizeCandidatePreview(
+  candidates: (RankedCandidate & { sourceName: string; text: string })[],
+  limit = 5,
+) {
   return candidates.slice(0, limit).map((candidate) => ({
     id: candidate.id,
     source: candidate.sourceName,
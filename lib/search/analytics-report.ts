@@ -0,0 +1,161 @@
+import { readFile } from "node:fs/promises";
+import type { SearchQueryEvent } from "@/lib/search/analytics";
+
+// Keystrokes of the search dialog arrive as separate queries; a query that a
+// later one extends within this window is treated as typing, not a search.
+const TYPING_WINDOW_MS = 10_000;
+
+export type SearchQuerySummary = {
+  query: string;
+  count: number;
+  zeroResults: number;
+  topUrl: string | null;
+  lastSeen: string;
+  averageLatencyMs: number;
+};
+
+export type SlowSearchQuery = {
+  query: string;
+  kind: SearchQueryEvent["kind"];
+  latencyMs: number;
+  provider: string | null;
+  at: string;
+};
+
+export type SearchEventSummary = {
+  events: number;
+  typingPrefixes: number;
+  uniqueQueries: number;
+  zeroResultEvents: number;
+  topQueries: SearchQuerySummary[];
+  zeroResultQueries: SearchQuerySummary[];
+  slowQueries: SlowSearchQuery[];
+};
+
+export function normalizeQueryKey(query: string): string {
+  return query.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Reads a JSONL event file, skipping lines that are not valid events.
+ * Returns an empty list when the file does not exist yet.
+ */
+export async function readSearchEvents(
+  filePath: string,
+): Promise<{ events: SearchQueryEvent[]; skipped: number }> {
+  let raw: string;
+  try {
+    raw = await readFile(filePath, "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return { events: [], skipped: 0 };
+    }
+    throw error;
+  }
+
+  const events: SearchQueryEvent[] = [];
+  let skipped = 0;
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+
+    try {
+      const event = JSON.parse(line);
+      if (typeof event?.query === "string" && typeof event?.at === "string") {
+        events.push(event);
+      } else {
+        skipped += 1;
+      }
+    } catch {
+      skipped += 1;
+    }
+  }
+
+  return { events, skipped };
+}
+
+/**
+ * Drops search-as-you-type prefixes ("chol", "cholang") that a later query of
+ * the same kind grew into shortly afterwards.
+ */
+function foldTypingPrefixes(events: SearchQueryEvent[]): SearchQueryEvent[] {
+  const sorted = [...events].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+
+  return sorted.filter((event, index) => {
+    const key = normalizeQueryKey(event.query);
+    const time = Date.parse(event.at);
+
+    for (let next = index + 1; next < sorted.length; next += 1) {
+      const later = sorted[next];
+      if (Date.parse(later.at) - time > TYPING_WINDOW_MS) break;
+      if (later.kind !== event.kind) continue;
+
+      const laterKey = normalizeQueryKey(later.query);
+      if (laterKey !== key && laterKey.startsWith(key)) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Aggregates events into the top, zero-result and slow query lists. Typing
+ * prefixes are left out of the query lists but still count as slow queries.
+ */
+export function summarizeSearchEvents(
+  events: SearchQueryEvent[],
+  { limit = 20, slowMs = 1500 }: { limit?: number; slowMs?: number } = {},
+): SearchEventSummary {
+  const searches = foldTypingPrefixes(events);
+  const byQuery = new Map<string, Omit<SearchQuerySummary, "averageLatencyMs"> & { totalLatencyMs: number }>();
+
+  for (const event of searches) {
+    const key = normalizeQueryKey(event.query);
+    if (!key) continue;
+
+    const entry = byQuery.get(key) ?? {
+      query: key,
+      count: 0,
+      zeroResults: 0,
+      totalLatencyMs: 0,
+      topUrl: null,
+      lastSeen: event.at,
+    };
+    entry.count += 1;
+    entry.totalLatencyMs += Number(event.latencyMs) || 0;
+    if (!event.resultCount) entry.zeroResults += 1;
+    if (event.topUrl) entry.topUrl = event.topUrl;
+    if (event.at > entry.lastSeen) entry.lastSeen = event.at;
+    byQuery.set(key, entry);
+  }
+
+  const queries = Array.from(byQuery.values()).map(({ totalLatencyMs, ...entry }) => ({
+    ...entry,
+    averageLatencyMs: Math.round(totalLatencyMs / entry.count),
+  }));
+  const byCount = (a: SearchQuerySummary, b: SearchQuerySummary) =>
+    b.count - a.count || a.query.localeCompare(b.query);
+
+  return {
+    events: events.length,
+    typingPrefixes: events.length - searches.length,
+    uniqueQueries: queries.length,
+    zeroResultEvents: searches.filter((event) => !event.resultCount).length,
+    topQueries: [...queries].sort(byCount).slice(0, limit),
+    zeroResultQueries: queries
+      .filter((entry) => entry.zeroResults === entry.count)
+      .sort(byCount)
+      .slice(0, limit),
+    slowQueries: events
+      .filter((event) => Number(event.latencyMs) >= slowMs)
+      .sort((a, b) => b.latencyMs - a.latencyMs)
+      .slice(0, limit)
+      .map((event) => ({
+        query: normalizeQueryKey(event.query),
+        kind: event.kind,
+        latencyMs: event.latencyMs,
+        provider: event.provider ?? null,
+        at: event.at,
+      })),
+  };
+}
@@ -0,0 +1,122 @@
+import { appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+
+export const DEFAULT_SEARCH_EVENTS_FILE = ".cache/analytics/search-events.jsonl";
+
+const MAX_QUERY_CHARS = 200;
+const EMAIL_RE = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+// Phone numbers, patient or student IDs: six or more digits, optionally spaced.
+const LONG_NUMBER_RE = /\d(?:[\s-]?\d){5,}/g;
+
+export type SearchEventKind = "search" | "chat";
+
+/** One anonymised query, as read by `npm run report:search`. */
+export type SearchQueryEvent = {
+  kind: SearchEventKind;
+  /** ISO timestamp. */
+  at: string;
+  query: string;
+  /** Pages returned by search, or sources retrieved for chat. */
+  resultCount: number;
+  topUrl: string | null;
+  latencyMs: number;
+  /** Backend that answered, e.g. `mixedbread`, `local` or `cache`. */
+  provider?: string;
+};
+
+/** Replaces email addresses and long numbers such as phone numbers or IDs. */
+export function redactIdentifiers(text: string): string {
+  return text.replace(EMAIL_RE, "[email]").replace(LONG_NUMBER_RE, "[number]");
+}
+
+/**
+ * Strips contact details and identifiers from a query before it is stored.
+ * Events carry no IP address, user agent or session id.
+ */
+export function anonymizeSearchQuery(query: string): string {
+  return redactIdentifiers(query).replace(/\s+/g, " ").trim().slice(0, MAX_QUERY_CHARS);
+}
+
+export interface SearchAnalyticsSink {
+  record(event: SearchQueryEvent): Promise<void>;
+}
+
+/** Appends one JSON object per line; the default sink. */
+export function createJsonlSearchAnalyticsSink(filePath: string): SearchAnalyticsSink {
+  let ready: Promise<unknown> | null = null;
+
+  return {
+    async record(event) {
+      ready ??= mkdir(path.dirname(filePath), { recursive: true }).catch((error: unknown) => {
+        ready = null;
+        throw error;
+      });
+      await ready;
+      await appendFile(filePath, `${JSON.stringify(event)}\n`, "utf8");
+    },
+  };
+}
+
+const consoleSink: SearchAnalyticsSink = {
+  async record(event) {
+    console.info("[search-analytics]", JSON.stringify(event));
+  },
+};
+
+// `undefined` until first use; `null` when analytics are switched off.
+let activeSink: SearchAnalyticsSink | null | undefined;
+
+/**
+ * Sink chosen by `SEARCH_ANALYTICS_SINK`: `jsonl` (written to
+ * `SEARCH_ANALYTICS_FILE`), `console` or `none`. Defaults to `jsonl` in
+ * development and `none` in production, where the filesystem may be read-only
+ * or not shared between instances.
+ */
+function createDefaultSink(): SearchAnalyticsSink | null {
+  const kind =
+    process.env.SEARCH_ANALYTICS_SINK?.trim() ||
+    (process.env.NODE_ENV === "production" ? "none" : "jsonl");
+
+  switch (kind) {
+    case "jsonl":
+      return createJsonlSearchAnalyticsSink(
+        path.resolve(
+          process.cwd(),
+          process.env.SEARCH_ANALYTICS_FILE?.trim() || DEFAULT_SEARCH_EVENTS_FILE,
+        ),
+      );
+    case "console":
+      return consoleSink;
+    case "none":
+      return null;
+    default:
+      console.warn(`[search-analytics] Unknown SEARCH_ANALYTICS_SINK "${kind}", analytics disabled.`);
+      return null;
+  }
+}
+
+/** Replaces the sink, e.g. with one that forwards to a hosted store. */
+export function setSearchAnalyticsSink(sink: SearchAnalyticsSink | null): void {
+  activeSink = sink;
+}
+
+/**
+ * Records a query without delaying the response; sink failures never reach the
+ * caller. The first failure is logged and switches analytics off until
+ * `setSearchAnalyticsSink` is called, so a read-only filesystem does not log
+ * on every request.
+ */
+export function recordSearchEvent(event: Omit<SearchQueryEvent, "at">): void {
+  if (activeSink === undefined) activeSink = createDefaultSink();
+  if (!activeSink) return;
+
+  const query = anonymizeSearchQuery(event.query);
+  if (!query) return;
+
+  const sink = activeSink;
+  sink.record({ ...event, query, at: new Date().toISOString() }).catch((error: unknown) => {
+    if (activeSink !== sink) return;
+    activeSink = null;
+    console.error("[search-analytics] Failed to record event, analytics disabled:", error);
+  });
+}
@@ -0,0 +1,195 @@
+import { createHash } from "node:crypto";
+import { readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import { CONTENT_VERSION } from "@/lib/search/content-version";
+import { MEDICAL_SYNONYMS_VERSION } from "@/lib/search/medical-synonyms";
+import {
+  deleteFileIfExists,
+  readJsonIfExists,
+  writeJsonAtomic,
+} from "@/lib/rag/cache";
+
+const DEFAULT_SEARCH_CACHE_DIR = ".cache/search";
+const SEARCH_CACHE_TTL_MS = 5 * 60_000;
+const MEMORY_CACHE_MAX_ENTRIES = 500;
+const FILE_CACHE_SWEEP_INTERVAL_MS = 60 * 60_000;
+
+export type SearchCacheNamespace = "search" | "chat";
+
+export type SearchCacheEntry = {
+  expiresAt: number;
+  value: unknown;
+};
+
+/** Storage behind the search cache; keys are already hashed and file-safe. */
+export interface SearchCacheAdapter {
+  readonly name: string;
+  get(key: string): Promise<SearchCacheEntry | null>;
+  set(key: string, entry: SearchCacheEntry): Promise<void>;
+}
+
+export type SearchCacheStats = {
+  adapter: string;
+  contentVersion: string;
+  synonymsVersion: number;
+  namespaces: Record<SearchCacheNamespace, { hits: number; misses: number }>;
+};
+
+/** Per-process store, evicting the oldest entries beyond `maxEntries`. */
+export function createMemorySearchCacheAdapter(
+  maxEntries = MEMORY_CACHE_MAX_ENTRIES,
+): SearchCacheAdapter {
+  const entries = new Map<string, SearchCacheEntry>();
+
+  return {
+    name: "memory",
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        const oldest = entries.keys().next();
+        if (oldest.done) break;
+        entries.delete(oldest.value);
+      }
+    },
+  };
+}
+
+/**
+ * One JSON file per key, shared by every instance that mounts the same
+ * directory; the only built-in adapter that is shared between instances.
+ * Files left behind by old content versions are swept by age.
+ */
+export function createFileSearchCacheAdapter(dir: string): SearchCacheAdapter {
+  let sweptAt = 0;
+
+  async function sweep(): Promise<void> {
+    const now = Date.now();
+    if (now - sweptAt < FILE_CACHE_SWEEP_INTERVAL_MS) return;
+    sweptAt = now;
+
+    const names = await readdir(dir).catch(() => [] as string[]);
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const { mtimeMs } = await stat(file).catch(() => ({ mtimeMs: now }));
+      if (now - mtimeMs > SEARCH_CACHE_TTL_MS) await deleteFileIfExists(file);
+    }
+  }
+
+  return {
+    name: "file",
+    async get(key) {
+      const entry = await readJsonIfExists<SearchCacheEntry>(path.join(dir, `${key}.json`), null);
+      return entry && typeof entry.expiresAt === "number" ? entry : null;
+    },
+    async set(key, entry) {
+      await writeJsonAtomic(path.join(dir, `${key}.json`), entry);
+      await sweep();
+    },
+  };
+}
+
+// `undefined` until first use; `null` when caching is switched off.
+let activeAdapter: SearchCacheAdapter | null | undefined;
+
+const stats: SearchCacheStats["namespaces"] = {
+  search: { hits: 0, misses: 0 },
+  chat: { hits: 0, misses: 0 },
+};
+
+/**
+ * Adapter chosen by `SEARCH_CACHE`: `memory`, `file` (written to
+ * `SEARCH_CACHE_DIR`) or `none`. Defaults to `none` under `next dev`, where
+ * `CONTENT_VERSION` is fixed at startup and would not change with MDX edits,
+ * and to `memory` otherwise.
+ */
+function createDefaultAdapter(): SearchCacheAdapter | null {
+  const kind =
+    process.env.SEARCH_CACHE?.trim() ||
+    (process.env.NODE_ENV === "development" ? "none" : "memory");
+
+  switch (kind) {
+    case "memory":
+      return createMemorySearchCacheAdapter();
+    case "file":
+      return createFileSearchCacheAdapter(
+        path.resolve(process.cwd(), process.env.SEARCH_CACHE_DIR?.trim() || DEFAULT_SEARCH_CACHE_DIR),
+      );
+    case "none":
+      return null;
+    default:
+      console.warn(`[search-cache] Unknown SEARCH_CACHE "${kind}", caching disabled.`);
+      return null;
+  }
+}
+
+function getAdapter(): SearchCacheAdapter | null {
+  if (activeAdapter === undefined) activeAdapter = createDefaultAdapter();
+  return activeAdapter;
+}
+
+/** Replaces the adapter, e.g. with one backed by a shared store. */
+export function setSearchCacheAdapter(adapter: SearchCacheAdapter | null): void {
+  activeAdapter = adapter;
+}
+
+/**
+ * Returns the cached value for `parts` or computes and stores it. Keys include
+ * the content and synonym dictionary versions, so edits invalidate them.
+ * Cache failures are logged and fall through to `compute`.
+ */
+export async function getOrComputeCached<T>(
+  namespace: SearchCacheNamespace,
+  parts: unknown[],
+  compute: () => Promise<{ value: T; cacheable: boolean }>,
+): Promise<{ value: T; hit: boolean }> {
+  const adapter = getAdapter();
+  if (!adapter) return { value: (await compute()).value, hit: false };
+
+  let key: string | null = null;
+  try {
+    key = createHash("sha256")
+      .update(
+        JSON.stringify([namespace, CONTENT_VERSION, MEDICAL_SYNONYMS_VERSION, ...parts]),
+      )
+      .digest("hex");
+
+    const entry = await adapter.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      stats[namespace].hits += 1;
+      return { value: entry.value as T, hit: true };
+    }
+  } catch (error) {
+    console.error("[search-cache] Failed to read:", error);
+  }
+
+  stats[namespace].misses += 1;
+  const { value, cacheable } = await compute();
+
+  if (key && cacheable) {
+    adapter
+      .set(key, { expiresAt: Date.now() + SEARCH_CACHE_TTL_MS, value })
+      .catch((error: unknown) => {
+        console.error("[search-cache] Failed to write:", error);
+      });
+  }
+
+  return { value, hit: false };
+}
+
+/** Hit and miss counters of this process since it started. */
+export function getSearchCacheStats(): SearchCacheStats {
+  return {
+    adapter: getAdapter()?.name ?? "none",
+    contentVersion: CONTENT_VERSION,
+    synonymsVersion: MEDICAL_SYNONYMS_VERSION,
+    namespaces: {
+      search: { ...stats.search },
+      chat: { ...stats.chat },
+    },
+  };
+}
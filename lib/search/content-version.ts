@@ -0,0 +1,31 @@
+import { createHash } from "node:crypto";
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+export const CONTENT_DIR = "content";
+
+/**
+ * Version of everything under `content/`, part of every search cache key so
+ * edited or redeployed content never serves stale hits. `next.config.ts`
+ * computes it once per build (or `next dev` start) unless `CONTENT_VERSION` is
+ * already set, e.g. to the commit SHA by the deploy.
+ */
+export const CONTENT_VERSION = process.env.CONTENT_VERSION ?? "unversioned";
+
+/**
+ * Hash of the paths and contents of every file under `root`, so builds of the
+ * same content agree. Throws when `root` does not exist.
+ */
+export function computeContentVersion(root: string): string {
+  const files = readdirSync(root, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath, entry.name))
+    .sort();
+
+  const hash = createHash("sha256");
+  for (const file of files) {
+    hash.update(`${path.relative(root, file)}\u0000`);
+    hash.update(readFileSync(file));
+  }
+  return hash.digest("hex").slice(0, 16);
+}
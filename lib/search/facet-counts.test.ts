@@ -0,0 +1,67 @@
+import { describe, expect, it, vi } from "vitest";
+import { countSearchFacets } from "@/lib/search/facet-counts";
+
+// Folder titles come from `content/docs/**/meta.json`.
+vi.mock("@/lib/docs-folders", () => ({
+  getDocsFolderTitle: async (folder: string) =>
+    ({ "general-surgery": "General Surgery", ent: "ENT", "general-surgery/hbp": "HBP" })[
+      folder
+    ] ?? folder,
+}));
+
+const cholangitis = { specialty: "general-surgery", subgroup: "hbp", tab: "dx" };
+
+describe("countSearchFacets", () => {
+  it("counts a page once however many of its chunks match", async () => {
+    const counts = await countSearchFacets(
+      [
+        { url: "/general-surgery/hbp/acute-cholangitis#charcot", values: cholangitis },
+        { url: "/general-surgery/hbp/acute-cholangitis#reynolds", values: cholangitis },
+        { url: "/general-surgery/hbp/acute-cholangitis?tab=mx", values: { ...cholangitis, tab: "mx" } },
+        { url: "/ent/epistaxis", values: { specialty: "ent", tab: "dx" } },
+      ],
+      {},
+    );
+
+    expect(counts).toEqual({
+      specialty: [
+        { value: "ent", label: "ENT", count: 1 },
+        { value: "general-surgery", label: "General Surgery", count: 1 },
+      ],
+      subgroup: [{ value: "hbp", label: "HBP", count: 1 }],
+      tab: [
+        { value: "dx", label: "Dx", count: 2 },
+        { value: "mx", label: "Mx", count: 1 },
+      ],
+    });
+  });
+
+  it("ignores a facet's own selection but applies the others", async () => {
+    const hits = [
+      { url: "/general-surgery/hbp/acute-cholangitis", values: cholangitis },
+      { url: "/ent/epistaxis", values: { specialty: "ent", tab: "mx" } },
+    ];
+
+    const counts = await countSearchFacets(hits, { specialty: ["ent"] });
+
+    expect(counts.specialty.map((count) => count.value)).toEqual(["ent", "general-surgery"]);
+    expect(counts.tab).toEqual([{ value: "mx", label: "Mx", count: 1 }]);
+    expect(counts.subgroup).toEqual([]);
+  });
+
+  it("sorts by count, then by value", async () => {
+    const counts = await countSearchFacets(
+      [
+        { url: "/ent/a", values: { specialty: "ent" } },
+        { url: "/general-surgery/b", values: { specialty: "general-surgery" } },
+        { url: "/general-surgery/c", values: { specialty: "general-surgery" } },
+      ],
+      {},
+    );
+
+    expect(counts.specialty.map((count) => [count.value, count.count])).toEqual([
+      ["general-surgery", 2],
+      ["ent", 1],
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+import { getDocsFolderTitle } from "@/lib/docs-folders";
+import { FRAGMENT_TAB_LABELS, toFragmentTabKey } from "@/lib/fragment-tabs";
+import {
+  matchesSearchFacets,
+  SEARCH_FACET_KEYS,
+  type SearchFacetCounts,
+  type SearchFacetFilters,
+  type SearchFacetKey,
+  type SearchFacetValues,
+} from "@/lib/search/facets";
+
+async function getFacetLabel(key: SearchFacetKey, values: SearchFacetValues): Promise<string> {
+  const value = values[key] ?? "";
+  if (key === "tab") {
+    const tabKey = toFragmentTabKey(value);
+    return tabKey ? FRAGMENT_TAB_LABELS[tabKey] : value;
+  }
+
+  return getDocsFolderTitle(key === "subgroup" ? `${values.specialty}/${value}` : value);
+}
+
+/**
+ * Counts the distinct pages per facet value among the candidate hits, so a
+ * page with several matching chunks counts once. Counts for a facet ignore
+ * that facet's own selection, so chips stay visible while one is selected.
+ */
+export async function countSearchFacets(
+  hits: { url: string; values: SearchFacetValues }[],
+  filters: SearchFacetFilters,
+): Promise<SearchFacetCounts> {
+  const counts = {} as SearchFacetCounts;
+
+  for (const key of SEARCH_FACET_KEYS) {
+    const otherFilters: SearchFacetFilters = { ...filters, [key]: undefined };
+    const totals = new Map<string, { urls: Set<string>; sample: SearchFacetValues }>();
+
+    for (const { url, values } of hits) {
+      const value = values[key];
+      if (!value || !matchesSearchFacets(values, otherFilters)) continue;
+
+      const total = totals.get(value) ?? { urls: new Set<string>(), sample: values };
+      total.urls.add(url.replace(/[?#].*$/, ""));
+      totals.set(value, total);
+    }
+
+    counts[key] = await Promise.all(
+      Array.from(totals.entries())
+        .map(([value, { urls, sample }]) => ({ value, count: urls.size, sample }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .map(async ({ value, count, sample }) => ({
+          value,
+          label: await getFacetLabel(key, sample),
+          count,
+        })),
+    );
+  }
+
+  return counts;
+}
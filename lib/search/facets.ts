@@ -0,0 +1,71 @@
+import { getFragmentPathParts, toFragmentTabKey } from "@/lib/fragment-tabs";
+
+export const SEARCH_FACET_KEYS = ["specialty", "subgroup", "tab"] as const;
+
+export type SearchFacetKey = (typeof SEARCH_FACET_KEYS)[number];
+
+/**
+ * Facet values of one hit, e.g.
+ * `{ specialty: "general-surgery", subgroup: "hbp", tab: "dx" }`.
+ */
+export type SearchFacetValues = Partial<Record<SearchFacetKey, string>>;
+
+/** Selected values per facet; values within a facet are OR-ed, facets are AND-ed. */
+export type SearchFacetFilters = Partial<Record<SearchFacetKey, string[]>>;
+
+export type SearchFacetCount = {
+  value: string;
+  label: string;
+  count: number;
+};
+
+export type SearchFacetCounts = Record<SearchFacetKey, SearchFacetCount[]>;
+
+/**
+ * Derives facets from the content tree: specialty and subgroup from the page
+ * URL (`/general-surgery/hbp/acute-cholangitis`), tab from the fragment path
+ * (`content/fragments/general-surgery/acute-cholangitis/dx.mdx`).
+ */
+export function getSearchFacetValues(url: string, path?: string): SearchFacetValues {
+  const segments = url.replace(/[?#].*$/, "").split("/").filter(Boolean);
+  const leaf = getFragmentPathParts(path)?.leaf;
+  const tab = leaf ? toFragmentTabKey(leaf) : null;
+
+  return {
+    ...(segments.length > 0 ? { specialty: segments[0] } : {}),
+    ...(segments.length > 2 ? { subgroup: segments[1] } : {}),
+    ...(tab ? { tab } : {}),
+  };
+}
+
+export function parseSearchFacetFilters(params: URLSearchParams): SearchFacetFilters {
+  const filters: SearchFacetFilters = {};
+
+  for (const key of SEARCH_FACET_KEYS) {
+    const values = params
+      .getAll(key)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) filters[key] = Array.from(new Set(values));
+  }
+
+  return filters;
+}
+
+export function hasSearchFacetFilters(filters: SearchFacetFilters): boolean {
+  return SEARCH_FACET_KEYS.some((key) => (filters[key]?.length ?? 0) > 0);
+}
+
+export function matchesSearchFacets(
+  values: SearchFacetValues,
+  filters: SearchFacetFilters,
+): boolean {
+  return SEARCH_FACET_KEYS.every((key) => {
+    const selected = filters[key];
+    if (!selected || selected.length === 0) return true;
+
+    const value = values[key];
+    return value !== undefined && selected.includes(value);
+  });
+}
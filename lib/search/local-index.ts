@@ -0,0 +1,168 @@
+import { cleanMdxForIndexing, getImportedMdxFilesForPage } from "@/lib/mdx-imports";
+import { normalizeFsPath } from "@/lib/mixedbread/chunk-utils";
+import { source } from "@/lib/source";
+import { stripMarkdown, tokenizeSearchText } from "@/lib/search/text";
+import { findMedicalSynonyms } from "@/lib/search/medical-synonyms";
+
+const HEADING_LINE_RE = /^#{1,6}\s+\S/;
+const REFERENCES_SECTION_RE = /^#{1,6}\s+references\s*$/i;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_MATCH_BOOST = 1.5;
+
+export type LocalSearchChunk = {
+  id: string;
+  /** Page the chunk is shown on. */
+  url: string;
+  title: string;
+  /** Source file, either the page itself or an imported fragment. */
+  path: string;
+  chunkIndex: number;
+  /** Markdown section starting with its heading line when it has one. */
+  text: string;
+};
+
+export type LocalSearchHit = {
+  chunk: LocalSearchChunk;
+  score: number;
+};
+
+type LocalSearchIndex = {
+  chunks: LocalSearchChunk[];
+  /** term -> [chunk index, term frequency] pairs */
+  postings: Map<string, Array<[number, number]>>;
+  lengths: number[];
+  averageLength: number;
+  titleTokens: Set<string>[];
+};
+
+let localIndexPromise: Promise<LocalSearchIndex> | null = null;
+
+function splitIntoSections(markdown: string): string[] {
+  const sections: string[] = [];
+  let current: string[] = [];
+  let inFence = false;
+
+  for (const line of markdown.split("\n")) {
+    if (line.trimStart().startsWith("```")) inFence = !inFence;
+    if (!inFence && HEADING_LINE_RE.test(line) && current.some((value) => value.trim())) {
+      sections.push(current.join("\n").trim());
+      current = [];
+    }
+    current.push(line);
+  }
+
+  if (current.some((value) => value.trim())) sections.push(current.join("\n").trim());
+
+  // Reference lists match almost any term and never make a useful hit.
+  return sections.filter((section) => !REFERENCES_SECTION_RE.test(section.split("\n")[0]));
+}
+
+async function buildLocalSearchIndex(): Promise<LocalSearchIndex> {
+  const chunks: LocalSearchChunk[] = [];
+
+  for (const page of source.getPages()) {
+    const processed = await page.data.getText("processed");
+    const files = [
+      { path: normalizeFsPath(page.path), content: processed },
+      ...(await getImportedMdxFilesForPage(page.path)).map((file) => ({
+        path: normalizeFsPath(file.path),
+        content: file.content,
+      })),
+    ];
+
+    for (const file of files) {
+      splitIntoSections(cleanMdxForIndexing(file.content)).forEach((text, chunkIndex) => {
+        chunks.push({
+          id: `${page.url}:${file.path}:${chunkIndex}`,
+          url: page.url,
+          title: page.data.title,
+          path: file.path,
+          chunkIndex,
+          text,
+        });
+      });
+    }
+  }
+
+  const postings = new Map<string, Array<[number, number]>>();
+  const lengths: number[] = [];
+  const titleTokens: Set<string>[] = [];
+
+  chunks.forEach((chunk, chunkIndex) => {
+    const tokens = tokenizeSearchText(stripMarkdown(chunk.text));
+    lengths.push(tokens.length);
+    titleTokens.push(new Set(tokenizeSearchText(chunk.title)));
+
+    const frequencies = new Map<string, number>();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) ?? 0) + 1);
+    }
+    for (const [token, frequency] of frequencies) {
+      const list = postings.get(token) ?? [];
+      list.push([chunkIndex, frequency]);
+      postings.set(token, list);
+    }
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+  return {
+    chunks,
+    postings,
+    lengths,
+    averageLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+    titleTokens,
+  };
+}
+
+/**
+ * In-memory BM25 index over every page and the fragments it imports, built
+ * on first use. Used when Mixedbread is not configured or unavailable.
+ */
+export function getLocalSearchIndex(): Promise<LocalSearchIndex> {
+  localIndexPromise ??= buildLocalSearchIndex().catch((error: unknown) => {
+    localIndexPromise = null;
+    throw error;
+  });
+
+  return localIndexPromise;
+}
+
+export async function searchLocalIndex(
+  query: string,
+  topK: number,
+): Promise<LocalSearchHit[]> {
+  const index = await getLocalSearchIndex();
+  // Medical synonyms count as the same query, so "AAA" also finds chunks that
+  // only say "abdominal aortic aneurysm".
+  const terms = Array.from(
+    new Set([query, ...findMedicalSynonyms(query)].flatMap(tokenizeSearchText)),
+  );
+  if (terms.length === 0 || index.chunks.length === 0) return [];
+
+  const scores = new Map<number, number>();
+  for (const term of terms) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+
+    const idf = Math.log(1 + (index.chunks.length - list.length + 0.5) / (list.length + 0.5));
+    for (const [chunkIndex, frequency] of list) {
+      const lengthNorm =
+        1 - BM25_B + BM25_B * (index.lengths[chunkIndex] / (index.averageLength || 1));
+      const termScore = (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      scores.set(chunkIndex, (scores.get(chunkIndex) ?? 0) + termScore);
+    }
+  }
+
+  for (const [chunkIndex, score] of scores) {
+    const titleMatches = terms.filter((term) => index.titleTokens[chunkIndex].has(term)).length;
+    if (titleMatches > 0) {
+      scores.set(chunkIndex, score * (1 + (TITLE_MATCH_BOOST * titleMatches) / terms.length));
+    }
+  }
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topK)
+    .map(([chunkIndex, score]) => ({ chunk: index.chunks[chunkIndex], score }));
+}
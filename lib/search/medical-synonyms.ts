@@ -0,0 +1,57 @@
+import dictionary from "./medical-synonyms.json";
+
+/** Bumped whenever `medical-synonyms.json` changes, e.g. to invalidate caches. */
+export const MEDICAL_SYNONYMS_VERSION: number = dictionary.version;
+
+/** Broader terms used to rank source material for a topic (RAG only). */
+export const RELATED_MEDICAL_TERMS = dictionary.related;
+
+function normalizeForMatch(value: string): string {
+  return ` ${value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+const SYNONYM_GROUPS = dictionary.groups.map((group) => ({
+  kind: group.kind,
+  terms: group.terms,
+  normalized: group.terms.map(normalizeForMatch),
+}));
+
+/**
+ * Terms equivalent to any abbreviation, spelling, eponym or ICD-10 group found
+ * in `text` as whole words, excluding forms the text already contains.
+ * "ERCP risks" -> ["endoscopic retrograde cholangiopancreatography"].
+ */
+export function findMedicalSynonyms(text: string): string[] {
+  const normalized = normalizeForMatch(text);
+  const synonyms = new Set<string>();
+
+  for (const group of SYNONYM_GROUPS) {
+    if (!group.normalized.some((term) => normalized.includes(term))) {
+      continue;
+    }
+
+    group.terms.forEach((term, index) => {
+      if (!normalized.includes(group.normalized[index])) {
+        synonyms.add(term);
+      }
+    });
+  }
+
+  return Array.from(synonyms);
+}
+
+/**
+ * Query text for semantic retrieval with the synonyms appended, so "AAA" and
+ * "abdominal aortic aneurysm" retrieve the same chunks.
+ */
+export function expandMedicalQuery(query: string): string {
+  const synonyms = findMedicalSynonyms(query);
+  if (synonyms.length === 0) {
+    return query;
+  }
+
+  return `${query} (${synonyms.join("; ")})`;
+}
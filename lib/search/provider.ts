@@ -0,0 +1,169 @@
+import { getOrComputeCached, type SearchCacheNamespace } from "@/lib/search/cache";
+import { createLocalSearchProvider } from "@/lib/search/providers/local";
+import { createMixedbreadSearchProvider } from "@/lib/search/providers/mixedbread";
+import { createRagSearchProvider } from "@/lib/search/providers/rag";
+
+export type SearchProviderName = "mixedbread" | "local" | "rag";
+
+/** One retrieved chunk, normalised across backends. */
+export type SearchProviderHit = {
+  /** Identifies the indexed file; with `chunkIndex` it identifies the chunk. */
+  fileId: string;
+  chunkIndex: number;
+  /** Chunk text; missing for non-text chunks such as images. */
+  text?: string;
+  /**
+   * Relevance in [0, 1]. Comparable across queries only when the provider has
+   * `calibratedScores`; otherwise a ranking within one query.
+   */
+  score: number;
+  /** Page the chunk is shown on, when it maps to one. */
+  url?: string;
+  /** Source file, e.g. a fragment under `content/fragments/`. */
+  path?: string;
+  filename?: string;
+  title?: string;
+  /** Innermost heading above the chunk, when the backend knows it. */
+  heading?: string;
+};
+
+export type SearchProviderOptions = {
+  topK: number;
+  /** Mixedbread `generated_metadata.tag` filter; other providers ignore it. */
+  tag?: string;
+  /** Ask the backend to rerank its candidates, where supported. */
+  rerank?: boolean;
+};
+
+export interface SearchProvider {
+  readonly name: string;
+  /** Identifies the indexed data, e.g. the Mixedbread store; part of cache keys. */
+  readonly indexId?: string;
+  /**
+   * Whether a score means the same relevance for every query. Mixedbread's
+   * are; the local (BM25) and rag (min-max hybrid) providers scale by the best
+   * hit of the query, so the top hit always scores 1.
+   */
+  readonly calibratedScores?: boolean;
+  search(query: string, options: SearchProviderOptions): Promise<SearchProviderHit[]>;
+}
+
+const SEARCH_PROVIDER_NAMES: SearchProviderName[] = ["mixedbread", "local", "rag"];
+
+// `undefined` until first use.
+let activeProvider: SearchProvider | undefined;
+let localProvider: SearchProvider | undefined;
+
+function getLocalProvider(): SearchProvider {
+  localProvider ??= createLocalSearchProvider();
+  return localProvider;
+}
+
+/**
+ * Provider chosen by `SEARCH_PROVIDER`: `mixedbread`, `local` or `rag`.
+ * Defaults to Mixedbread when `MIXEDBREAD_STORE_IDENTIFIER` is set and to the
+ * local index otherwise.
+ */
+function createDefaultProvider(): SearchProvider {
+  const configured = process.env.SEARCH_PROVIDER?.trim();
+  const name =
+    configured || (process.env.MIXEDBREAD_STORE_IDENTIFIER ? "mixedbread" : "local");
+
+  if (!SEARCH_PROVIDER_NAMES.includes(name as SearchProviderName)) {
+    console.warn(`[search-provider] Unknown SEARCH_PROVIDER "${name}", using the local index.`);
+    return getLocalProvider();
+  }
+
+  switch (name as SearchProviderName) {
+    case "mixedbread":
+      return createMixedbreadSearchProvider();
+    case "rag":
+      // The RAG cache holds lecture slides and senior notes, which the source
+      // policy keeps out of public content.
+      if (process.env.NODE_ENV === "production") {
+        console.warn("[search-provider] The rag provider is for local use only, using the local index.");
+        return getLocalProvider();
+      }
+      return createRagSearchProvider();
+    case "local":
+      return getLocalProvider();
+  }
+}
+
+export function getSearchProvider(): SearchProvider {
+  activeProvider ??= createDefaultProvider();
+  return activeProvider;
+}
+
+/**
+ * Replaces the provider, e.g. with a fake in tests; `null` restores the one
+ * chosen by `SEARCH_PROVIDER`.
+ */
+export function setSearchProvider(provider: SearchProvider | null): void {
+  activeProvider = provider ?? undefined;
+}
+
+export type SearchResult = {
+  /** Backend that answered. */
+  provider: string;
+  /** `calibratedScores` of that backend. */
+  calibratedScores: boolean;
+  hits: SearchProviderHit[];
+};
+
+/**
+ * Searches the active provider and, when it fails, the local index, so search
+ * and chat keep working through a Mixedbread outage.
+ */
+export async function searchWithFallback(
+  query: string,
+  options: SearchProviderOptions,
+): Promise<SearchResult> {
+  const provider = getSearchProvider();
+
+  try {
+    return {
+      provider: provider.name,
+      calibratedScores: Boolean(provider.calibratedScores),
+      hits: await provider.search(query, options),
+    };
+  } catch (error) {
+    const local = getLocalProvider();
+    if (provider === local) throw error;
+    console.error(`[search-provider] ${provider.name} search failed, using the local index:`, error);
+    return {
+      provider: local.name,
+      calibratedScores: Boolean(local.calibratedScores),
+      hits: await local.search(query, options),
+    };
+  }
+}
+
+/**
+ * `searchWithFallback` behind the shared search cache. Fallback results are
+ * not cached, so the chosen provider is retried once it recovers.
+ */
+export async function searchWithCache(
+  namespace: SearchCacheNamespace,
+  query: string,
+  options: SearchProviderOptions,
+): Promise<SearchResult & { cached: boolean }> {
+  const provider = getSearchProvider();
+  const { value, hit } = await getOrComputeCached(
+    namespace,
+    [
+      provider.name,
+      provider.indexId ?? null,
+      query.toLowerCase().replace(/\s+/g, " ").trim(),
+      options.topK,
+      options.tag ?? null,
+      Boolean(options.rerank),
+    ],
+    async () => {
+      const result = await searchWithFallback(query, options);
+      return { value: result, cacheable: result.provider === provider.name };
+    },
+  );
+
+  return { ...value, cached: hit };
+}
@@ -0,0 +1,30 @@
+import type { SearchProvider } from "@/lib/search/provider";
+import { searchLocalIndex } from "@/lib/search/local-index";
+import { extractHeadingTitle } from "@/lib/search/text";
+
+/**
+ * BM25 over the in-memory index of every page and its fragments. Needs no
+ * account or network, so it is the default without a Mixedbread store.
+ */
+export function createLocalSearchProvider(): SearchProvider {
+  return {
+    name: "local",
+    async search(query, { topK }) {
+      const hits = await searchLocalIndex(query, topK);
+      const topScore = hits[0]?.score || 1;
+
+      // Local hits carry their page URL directly: a fragment shared by several
+      // pages must resolve to the page it was indexed under.
+      return hits.map(({ chunk, score }) => ({
+        fileId: `local:${chunk.url}:${chunk.path}`,
+        chunkIndex: chunk.chunkIndex,
+        text: chunk.text,
+        score: score / topScore,
+        url: chunk.url,
+        path: chunk.path,
+        title: chunk.title,
+        heading: extractHeadingTitle(chunk.text) || undefined,
+      }));
+    },
+  };
+}
@@ -0,0 +1,110 @@
+import {
+  asRecord,
+  firstString,
+  getChunkPath,
+} from "@/lib/mixedbread/chunk-utils";
+import { getMixedbreadClient, getRequiredEnv } from "@/lib/mixedbread/client";
+import {
+  getFragmentToPageUrlMap,
+  resolveChunkUrl,
+} from "@/lib/mixedbread/source-resolution";
+import type { SearchProvider } from "@/lib/search/provider";
+import { expandMedicalQuery } from "@/lib/search/medical-synonyms";
+
+interface MixedbreadScoredChunk {
+  file_id: string;
+  chunk_index: number;
+  type?: string;
+  text?: string;
+  filename?: string;
+  score: number;
+  generated_metadata?: unknown;
+  metadata?: unknown;
+}
+
+function deriveHeadingHint(generated: Record<string, unknown>): string | undefined {
+  for (const key of ["heading_context", "chunk_headings"]) {
+    const headings = generated[key];
+    if (!Array.isArray(headings) || headings.length === 0) continue;
+
+    const label = firstString(asRecord(headings[headings.length - 1]).text);
+    if (label) return label.trim();
+  }
+
+  return undefined;
+}
+
+function deriveTitle(
+  generated: Record<string, unknown>,
+  metadata: Record<string, unknown>,
+): string | undefined {
+  return firstString(
+    generated.title,
+    metadata.title,
+    asRecord(generated.frontmatter).title,
+    asRecord(metadata.frontmatter).title,
+  );
+}
+
+/**
+ * Semantic search over the Mixedbread store named by
+ * `MIXEDBREAD_STORE_IDENTIFIER`. Chunks are resolved to the page that shows
+ * them, via their page path or the fragment imports.
+ */
+export function createMixedbreadSearchProvider(): SearchProvider {
+  return {
+    name: "mixedbread",
+    indexId: process.env.MIXEDBREAD_STORE_IDENTIFIER,
+    calibratedScores: true,
+    async search(query, { topK, tag, rerank }) {
+      const storeIdentifier = getRequiredEnv("MIXEDBREAD_STORE_IDENTIFIER");
+      const client = getMixedbreadClient();
+
+      // Start both expensive operations immediately to avoid waterfall latency.
+      const fragmentToPageUrlPromise = getFragmentToPageUrlMap();
+      const responsePromise = client.stores.search({
+        query: expandMedicalQuery(query),
+        store_identifiers: [storeIdentifier],
+        top_k: topK,
+        search_options: { return_metadata: true, ...(rerank ? { rerank: true } : {}) },
+        ...(tag
+          ? {
+              filters: {
+                key: "generated_metadata.tag",
+                operator: "eq",
+                value: tag,
+              },
+            }
+          : {}),
+      });
+
+      const [fragmentToPageUrl, response] = await Promise.all([
+        fragmentToPageUrlPromise,
+        responsePromise,
+      ]);
+
+      return ((response.data ?? []) as MixedbreadScoredChunk[]).map((chunk) => {
+        const generated = asRecord(chunk.generated_metadata);
+        const metadata = asRecord(chunk.metadata);
+        const path = getChunkPath(chunk);
+        const url = resolveChunkUrl({
+          path,
+          directUrl: firstString(generated.url, metadata.url),
+          fragmentToPageUrl,
+        });
+
+        return {
+          fileId: chunk.file_id,
+          chunkIndex: chunk.chunk_index,
+          text: chunk.type && chunk.type !== "text" ? undefined : chunk.text,
+          score: Number.isFinite(chunk.score) ? chunk.score : 0,
+          url: url ?? undefined,
+          path,
+          filename: chunk.filename,
+          title: deriveTitle(generated, metadata),
+          heading: deriveHeadingHint(generated),
+        };
+      });
+    },
+  };
+}
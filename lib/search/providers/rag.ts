@@ -0,0 +1,188 @@
+import { readdir } from "node:fs/promises";
+import path from "node:path";
+import type { SearchProvider } from "@/lib/search/provider";
+import { expandMedicalQuery } from "@/lib/search/medical-synonyms";
+import {
+  absFromCache,
+  readJsonIfExists,
+  readManifest,
+  resolveCachePaths,
+} from "@/lib/rag/cache";
+import { DEFAULT_EMBEDDING_MODEL, embedSingleValue } from "@/lib/rag/embed";
+import { rankChunksHybrid } from "@/lib/rag/retrieval";
+
+const DEFAULT_RAG_CACHE_DIR = ".cache/rag";
+
+type RagChunk = {
+  id: string;
+  text: string;
+  sourceName: string;
+  sourcePath: string;
+  chunkIndex: number;
+};
+
+type RagIndex = {
+  chunks: RagChunk[];
+  /** Chunks embedded with each model, keyed by chunk id. */
+  embeddingsByModel: Map<string, Map<string, number[]>>;
+};
+
+/** `chunks.json` of one indexed source file. */
+type RagChunksFile = {
+  fileName?: string;
+  noteName?: string;
+  chunks?: { id?: unknown; text?: unknown }[];
+};
+
+/** `chunks.embedding.json`, parallel to `chunkIds`. */
+type RagEmbeddingsFile = {
+  modelId?: string;
+  chunkIds?: unknown[];
+  embeddings?: unknown[];
+};
+
+let ragIndexPromise: Promise<RagIndex> | null = null;
+
+/**
+ * Cache directories written by `npm run index:rag`: the configured directory
+ * itself when it has a manifest, otherwise each specialty folder inside it.
+ */
+async function listCacheDirs(cacheDir: string): Promise<string[]> {
+  const { baseDir, manifestPath } = resolveCachePaths(cacheDir);
+  if (await readJsonIfExists(manifestPath, null)) return [baseDir];
+
+  const entries = await readdir(baseDir, { withFileTypes: true }).catch(() => []);
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(baseDir, entry.name));
+}
+
+function getRagCacheDir(): string {
+  return process.env.SEARCH_RAG_CACHE_DIR?.trim() || DEFAULT_RAG_CACHE_DIR;
+}
+
+async function loadRagIndex(): Promise<RagIndex> {
+  const cacheDir = getRagCacheDir();
+  const chunks: RagChunk[] = [];
+  const embeddingsByModel = new Map<string, Map<string, number[]>>();
+
+  for (const dir of await listCacheDirs(cacheDir)) {
+    const { baseDir, manifestPath } = resolveCachePaths(dir);
+    const manifest = await readManifest(manifestPath);
+
+    for (const [sourcePath, entry] of Object.entries<Record<string, unknown>>(manifest.sources)) {
+      if (typeof entry?.artifactDir !== "string") continue;
+
+      const artifactDir = absFromCache(baseDir, entry.artifactDir);
+      const chunksData = await readJsonIfExists<RagChunksFile>(
+        path.join(artifactDir, "chunks.json"),
+        null,
+      );
+      const embeddingsData = await readJsonIfExists<RagEmbeddingsFile>(
+        path.join(artifactDir, "chunks.embedding.json"),
+        null,
+      );
+      if (!Array.isArray(chunksData?.chunks)) continue;
+
+      const model = String(
+        embeddingsData?.modelId || manifest.embeddingModel || DEFAULT_EMBEDDING_MODEL,
+      );
+      const embeddingById = embeddingsByModel.get(model) ?? new Map<string, number[]>();
+      embeddingsByModel.set(model, embeddingById);
+
+      const chunkIds: unknown[] = Array.isArray(embeddingsData?.chunkIds)
+        ? embeddingsData.chunkIds
+        : [];
+      chunkIds.forEach((id, index) => {
+        const embedding = embeddingsData?.embeddings?.[index];
+        if (typeof id === "string" && Array.isArray(embedding)) {
+          embeddingById.set(id, embedding);
+        }
+      });
+
+      const sourceName =
+        chunksData.fileName || chunksData.noteName || path.basename(sourcePath);
+      chunksData.chunks.forEach((chunk, chunkIndex) => {
+        if (typeof chunk.id !== "string" || typeof chunk.text !== "string") return;
+        chunks.push({
+          id: chunk.id,
+          text: chunk.text,
+          sourceName,
+          sourcePath,
+          chunkIndex,
+        });
+      });
+    }
+  }
+
+  return { chunks, embeddingsByModel };
+}
+
+function getRagIndex(): Promise<RagIndex> {
+  ragIndexPromise ??= loadRagIndex().catch((error: unknown) => {
+    ragIndexPromise = null;
+    throw error;
+  });
+
+  return ragIndexPromise;
+}
+
+async function embedQuery(model: string, query: string): Promise<number[] | null> {
+  try {
+    const { embedding } = await embedSingleValue({ model, value: query });
+    return embedding;
+  } catch (error) {
+    console.error(`[search-provider] Failed to embed the query with ${model}, ranking lexically:`, error);
+    return null;
+  }
+}
+
+/**
+ * Hybrid lexical and embedding ranking over the offline `.cache/rag`
+ * artifacts, the same ranking `generate:notes` uses. Hits name their source
+ * file but no page, so they ground chat answers rather than link search
+ * results. The cache holds restricted source material: local use only.
+ */
+export function createRagSearchProvider(): SearchProvider {
+  return {
+    name: "rag",
+    indexId: getRagCacheDir(),
+    async search(query, { topK }) {
+      const index = await getRagIndex();
+      if (index.chunks.length === 0) return [];
+
+      const expanded = expandMedicalQuery(query);
+      const scoreById = new Map<string, number>();
+
+      // Chunks embedded by different models are ranked against separate query
+      // embeddings; their scores are already scaled to [0, 1].
+      for (const [model, embeddingById] of index.embeddingsByModel) {
+        const chunks = index.chunks.filter((chunk) => embeddingById.has(chunk.id));
+        if (chunks.length === 0) continue;
+
+        const ranked = rankChunksHybrid({
+          query,
+          chunks,
+          embeddingById,
+          queryEmbedding: await embedQuery(model, expanded),
+        });
+        for (const chunk of ranked) scoreById.set(chunk.id, chunk.score);
+      }
+
+      return index.chunks
+        .map((chunk) => ({ chunk, score: scoreById.get(chunk.id) ?? 0 }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(({ chunk, score }) => ({
+          fileId: `rag:${chunk.sourcePath}`,
+          chunkIndex: chunk.chunkIndex,
+          text: chunk.text,
+          score,
+          path: chunk.sourcePath,
+          filename: chunk.sourceName,
+          title: chunk.sourceName,
+        }));
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import type { HighlightedText, SortedResult } from "fumadocs-core/search";
+import { tokenizeSearchText } from "@/lib/search/text";
+import { findMedicalSynonyms } from "@/lib/search/medical-synonyms";
+
+const SNIPPET_LENGTH = 240;
+// Context kept before the first match so the snippet does not open mid-thought.
+const SNIPPET_LEAD = 60;
+// Short terms (AF, PE, TB) only match whole words; longer ones also match
+// inflections such as "aneurysms".
+const PREFIX_MATCH_MIN_LENGTH = 4;
+
+/** Half-open character range `[start, end)` of a query match. */
+export type TextRange = {
+  start: number;
+  end: number;
+};
+
+/** Search result with the ranges of `content` that matched the query. */
+export type SearchResultWithMatches = SortedResult & {
+  matches?: TextRange[];
+};
+
+type TermMatch = TextRange & { term: string };
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Words of the query plus its medical synonyms, longest first so phrases win
+ * over the single words inside them.
+ */
+export function getQueryTerms(query: string): string[] {
+  const synonyms = findMedicalSynonyms(query);
+  const words = tokenizeSearchText(query).filter((word) => word.length >= 2);
+
+  return Array.from(new Set([...synonyms, ...words])).sort((a, b) => b.length - a.length);
+}
+
+function findTermMatches(text: string, terms: string[]): TermMatch[] {
+  const matches: TermMatch[] = [];
+
+  for (const term of terms) {
+    const suffix = term.length >= PREFIX_MATCH_MIN_LENGTH ? "\\w*" : "\\b";
+    const pattern = new RegExp(`\\b${escapeRegExp(term)}${suffix}`, "gi");
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, term });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+function mergeRanges(ranges: TextRange[]): TextRange[] {
+  const merged: TextRange[] = [];
+
+  for (const { start, end } of ranges) {
+    const last = merged.at(-1);
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  }
+
+  return merged;
+}
+
+export function findMatchRanges(text: string, terms: string[]): TextRange[] {
+  return mergeRanges(findTermMatches(text, terms));
+}
+
+/**
+ * Picks the window start covering the most distinct terms, then the most
+ * matches, so a snippet shows where the query actually hit.
+ */
+function pickWindowStart(matches: TermMatch[], length: number): number {
+  let bestStart = 0;
+  let bestScore = -1;
+
+  for (const anchor of matches) {
+    const start = Math.max(0, anchor.start - SNIPPET_LEAD);
+    const inside = matches.filter((match) => match.start >= start && match.end <= start + length);
+    const score = new Set(inside.map((match) => match.term)).size * 1000 + inside.length;
+    if (score > bestScore) {
+      bestScore = score;
+      bestStart = start;
+    }
+  }
+
+  return bestStart;
+}
+
+/**
+ * Cuts a window of `text` around the best-matching query terms and returns it
+ * with the match ranges relative to the returned content.
+ */
+export function buildSnippet(
+  text: string,
+  terms: string[],
+  length = SNIPPET_LENGTH,
+): { content: string; matches: TextRange[] } {
+  const termMatches = findTermMatches(text, terms);
+  if (text.length <= length) {
+    return { content: text, matches: mergeRanges(termMatches) };
+  }
+
+  let start = termMatches.length > 0 ? pickWindowStart(termMatches, length) : 0;
+  start = Math.min(start, text.length - length);
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    const firstMatch = termMatches.find((match) => match.start >= start)?.start ?? Infinity;
+    if (space >= 0 && space < firstMatch && space - start < 20) {
+      start = space + 1;
+    }
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? "..." : "";
+  const body = text.slice(start, end).trimEnd();
+  const offset = prefix.length - start;
+  const matches = mergeRanges(termMatches)
+    .filter((range) => range.start >= start && range.end <= start + body.length)
+    .map((range) => ({ start: range.start + offset, end: range.end + offset }));
+
+  return {
+    content: `${prefix}${body}${end < text.length ? "..." : ""}`,
+    matches,
+  };
+}
+
+/** Splits `content` into the highlighted segments fumadocs' result list renders. */
+export function toHighlightedText(content: string, matches: TextRange[]): HighlightedText[] {
+  const segments: HighlightedText[] = [];
+  let cursor = 0;
+
+  for (const { start, end } of matches) {
+    if (start < cursor || end > content.length) continue;
+    if (start > cursor) segments.push({ type: "text", content: content.slice(cursor, start) });
+    segments.push({ type: "text", content: content.slice(start, end), styles: { highlight: true } });
+    cursor = end;
+  }
+
+  if (cursor < content.length) segments.push({ type: "text", content: content.slice(cursor) });
+  return segments;
+}
@@ -0,0 +1,267 @@
+import { getDocsFolderTitle } from "@/lib/docs-folders";
+import { source } from "@/lib/source";
+import type { TextRange } from "@/lib/search/snippet";
+import { findMedicalSynonyms } from "@/lib/search/medical-synonyms";
+
+// Description words rank below title words: descriptions are long sentences.
+const TITLE_WORD_WEIGHT = 1;
+const DESCRIPTION_WORD_WEIGHT = 0.4;
+const EXACT_SCORE = 3;
+const PREFIX_SCORE = 2.5;
+const TYPO_SCORE = 1.5;
+const TITLE_PREFIX_BONUS = 2;
+
+export type SearchSuggestion = {
+  kind: "page" | "folder";
+  title: string;
+  url: string;
+  description?: string;
+  /** Titles of the specialty and subspecialty folders above the entry. */
+  breadcrumbs: string[];
+  /** Ranges of `title` that matched the query. */
+  matches: TextRange[];
+};
+
+type SuggestionWord = {
+  value: string;
+  start: number;
+  end: number;
+};
+
+type SuggestionEntry = Omit<SearchSuggestion, "matches"> & {
+  normalizedTitle: string;
+  titleWords: SuggestionWord[];
+  descriptionWords: string[];
+};
+
+let suggestionEntriesPromise: Promise<SuggestionEntry[]> | null = null;
+
+function splitWords(text: string): SuggestionWord[] {
+  return Array.from(text.toLowerCase().matchAll(/[a-z0-9]+/g), (match) => ({
+    value: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+function normalize(text: string): string {
+  return splitWords(text)
+    .map((word) => word.value)
+    .join(" ");
+}
+
+/** Typos tolerated in a query word: none for short words, two for long ones. */
+function allowedTypos(word: string): number {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), giving
+ * up once it exceeds `max`.
+ */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How well a query word matches a candidate word. The last query word may be
+ * unfinished, so prefixes count: "chol" matches "cholangitis".
+ */
+function scoreWord(query: string, candidate: string, isLast: boolean): number {
+  if (candidate === query) return EXACT_SCORE;
+  if (candidate.startsWith(query) && (isLast || query.length >= 4)) return PREFIX_SCORE;
+
+  const max = allowedTypos(query);
+  if (max === 0) return 0;
+
+  const distance = Math.min(
+    editDistance(query, candidate, max),
+    isLast ? editDistance(query, candidate.slice(0, query.length), max) : max + 1,
+  );
+  return distance <= max ? TYPO_SCORE : 0;
+}
+
+function scoreEntry(
+  entry: SuggestionEntry,
+  query: string,
+): { score: number; matches: TextRange[] } | null {
+  const words = query.split(" ").filter(Boolean);
+  if (words.length === 0) return null;
+
+  let score = 0;
+  const matches: TextRange[] = [];
+
+  for (const [index, word] of words.entries()) {
+    const isLast = index === words.length - 1;
+    let best = 0;
+    let bestTitleWord: SuggestionWord | null = null;
+
+    for (const titleWord of entry.titleWords) {
+      const value = scoreWord(word, titleWord.value, isLast) * TITLE_WORD_WEIGHT;
+      if (value > best) {
+        best = value;
+        bestTitleWord = titleWord;
+      }
+    }
+    for (const descriptionWord of entry.descriptionWords) {
+      const value = scoreWord(word, descriptionWord, isLast) * DESCRIPTION_WORD_WEIGHT;
+      if (value > best) {
+        best = value;
+        bestTitleWord = null;
+      }
+    }
+
+    // Every query word must match somewhere.
+    if (best === 0) return null;
+    score += best;
+
+    if (bestTitleWord) {
+      const end = bestTitleWord.value.startsWith(word)
+        ? bestTitleWord.start + word.length
+        : bestTitleWord.end;
+      matches.push({ start: bestTitleWord.start, end });
+    }
+  }
+
+  if (entry.normalizedTitle.startsWith(query)) score += TITLE_PREFIX_BONUS;
+
+  return {
+    score: score / words.length,
+    matches: matches
+      .sort((a, b) => a.start - b.start)
+      .filter((range, index, sorted) => index === 0 || range.start >= sorted[index - 1].end),
+  };
+}
+
+async function buildSuggestionEntries(): Promise<SuggestionEntry[]> {
+  const pages = source.getPages();
+  const entries: SuggestionEntry[] = [];
+  const folders = new Set<string>();
+
+  const toEntry = (entry: Omit<SearchSuggestion, "matches">): SuggestionEntry => ({
+    ...entry,
+    normalizedTitle: normalize(entry.title),
+    titleWords: splitWords(entry.title),
+    descriptionWords: splitWords(entry.description ?? "").map((word) => word.value),
+  });
+
+  const getBreadcrumbs = (slugs: string[]) =>
+    Promise.all(
+      slugs.map((_, index) => getDocsFolderTitle(slugs.slice(0, index + 1).join("/"))),
+    );
+
+  for (const page of pages) {
+    const parents = page.slugs.slice(0, -1);
+    parents.forEach((_, index) => folders.add(parents.slice(0, index + 1).join("/")));
+    if (page.slugs.length === 0) continue;
+
+    entries.push(
+      toEntry({
+        kind: "page",
+        title: page.data.title,
+        url: page.url,
+        description: page.data.description,
+        breadcrumbs: await getBreadcrumbs(parents),
+      }),
+    );
+  }
+
+  for (const folder of folders) {
+    // Folders link to their index page, or to their first page without one.
+    // An index page titled like its folder is already suggested as a page.
+    const title = await getDocsFolderTitle(folder);
+    const indexPage = pages.find((page) => page.slugs.join("/") === folder);
+    if (indexPage && normalize(indexPage.data.title) === normalize(title)) continue;
+    const target =
+      indexPage ?? pages.find((page) => page.slugs.join("/").startsWith(`${folder}/`));
+    if (!target) continue;
+
+    const slugs = folder.split("/");
+    entries.push(
+      toEntry({
+        kind: "folder",
+        title,
+        url: target.url,
+        breadcrumbs: await getBreadcrumbs(slugs.slice(0, -1)),
+      }),
+    );
+  }
+
+  return entries;
+}
+
+function getSuggestionEntries(): Promise<SuggestionEntry[]> {
+  suggestionEntriesPromise ??= buildSuggestionEntries().catch((error: unknown) => {
+    suggestionEntriesPromise = null;
+    throw error;
+  });
+
+  return suggestionEntriesPromise;
+}
+
+/**
+ * Page and folder titles matching a partial query, tolerating typos such as
+ * "pancreatitus" and medical synonyms such as "AAA". Meant to run on every
+ * keystroke, so it never touches a search provider.
+ */
+export async function suggestSearchTitles(
+  query: string,
+  limit: number,
+): Promise<SearchSuggestion[]> {
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery) return [];
+
+  const variants = [normalizedQuery, ...findMedicalSynonyms(query).map(normalize)];
+  const scored: Array<{ entry: SuggestionEntry; score: number; matches: TextRange[] }> = [];
+
+  for (const entry of await getSuggestionEntries()) {
+    let best: { score: number; matches: TextRange[] } | null = null;
+    for (const variant of variants) {
+      const result = scoreEntry(entry, variant);
+      if (result && (!best || result.score > best.score)) best = result;
+    }
+    if (best) scored.push({ entry, ...best });
+  }
+
+  return scored
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.entry.title.length - b.entry.title.length ||
+        a.entry.title.localeCompare(b.entry.title),
+    )
+    .slice(0, limit)
+    .map(({ entry, matches }) => ({
+      kind: entry.kind,
+      title: entry.title,
+      url: entry.url,
+      description: entry.description,
+      breadcrumbs: entry.breadcrumbs,
+      matches,
+    }));
+}
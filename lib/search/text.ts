@@ -0,0 +1,70 @@
+/**
+ * Approximates the github-slugger ids fumadocs gives headings. Every space
+ * becomes a dash, so "A — B" is `a--b` as on the rendered page.
+ */
+export function toHeadingId(value: string): string {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s/g, "-");
+}
+
+export function extractHeadingTitle(text?: string): string {
+  if (!text) return "";
+  const firstLine = text.trim().split("\n")[0]?.trim();
+  if (!firstLine || !firstLine.startsWith("#")) return "";
+
+  return firstLine.replace(/^#+\s*/, "").trim();
+}
+
+export function stripMarkdown(text: string): string {
+  return text
+    .replace(/^---[\s\S]*?---\s*/m, " ")
+    .replace(/^\s*import\s+.+$/gm, " ")
+    .replace(/^\s*---+\s*$/gm, " ")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/`[^`]*`/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^#+\s*/gm, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/[>*_~]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const TOKEN_RE = /[a-z0-9]+/g;
+
+// Common English words that would otherwise dominate BM25 for short queries.
+export const SEARCH_STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "what",
+  "when",
+  "which",
+  "with",
+]);
+
+/** Lower-cased alphanumeric tokens without stopwords. */
+export function tokenizeSearchText(text: string): string[] {
+  return (text.toLowerCase().match(TOKEN_RE) ?? []).filter(
+    (token) => !SEARCH_STOPWORDS.has(token),
+  );
+}
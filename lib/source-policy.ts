@@ -0,0 +1,122 @@
+import { getImportedMdxFilesForPage } from "@/lib/mdx-imports";
+import { extractReferenceItems } from "@/lib/page-citations";
+
+export type SourceClass =
+  | "lecture-slides"
+  | "senior-notes"
+  | "private-handout"
+  | "public"
+  | "unknown";
+
+// Source classes follow the "Source and Compliance Policy" in README.md.
+export const SOURCE_CLASSES: Record<SourceClass, { label: string; prohibited: boolean }> = {
+  "lecture-slides": { label: "Lecture slides (restricted LMS)", prohibited: true },
+  "senior-notes": { label: "Private senior notes", prohibited: true },
+  "private-handout": { label: "Private teaching handout", prohibited: true },
+  public: { label: "Public or licensed source", prohibited: false },
+  unknown: { label: "Unclassified source", prohibited: false },
+};
+
+export const SOURCE_POLICY_VALUES = ["public", "restricted-derived"] as const;
+
+export type SourcePolicy = (typeof SOURCE_POLICY_VALUES)[number];
+
+/**
+ * Classify one reference by its explicit `| type:` metadata or, failing that,
+ * by the label conventions the note generator uses ("Lecture slides: ...").
+ */
+export function classifyReferenceSource({
+  source,
+  type,
+}: {
+  source?: string;
+  type?: string;
+}): SourceClass {
+  const text = (source ?? "").trim();
+  const explicitType = (type ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+
+  if (explicitType === "slides" || explicitType === "lecture-slides") {
+    return "lecture-slides";
+  }
+  if (explicitType === "senior-note" || explicitType === "senior-notes") {
+    return "senior-notes";
+  }
+  if (explicitType === "handout" || explicitType === "handouts") {
+    return "private-handout";
+  }
+  if (["guideline", "textbook", "article", "website"].includes(explicitType)) {
+    return "public";
+  }
+
+  if (/^lecture slides?\s*:/i.test(text) || /\.(pptx?|key)\b/i.test(text)) {
+    return "lecture-slides";
+  }
+  if (/^senior notes?\s*:/i.test(text)) {
+    return "senior-notes";
+  }
+  if (/\bhandouts?\b/i.test(text)) {
+    return "private-handout";
+  }
+  if (/\b(?:https?:\/\/|doi\s*:|10\.\d{4,}\/)/i.test(text) || /^guidelines?\s*:/i.test(text)) {
+    return "public";
+  }
+
+  return "unknown";
+}
+
+export function isProhibitedSourceClass(sourceClass: SourceClass): boolean {
+  return SOURCE_CLASSES[sourceClass].prohibited;
+}
+
+export function readSourcePolicy(rawMdx: string): SourcePolicy | undefined {
+  const frontmatter = rawMdx.match(/^---\r?\n([\s\S]*?)\r?\n---/)?.[1] ?? "";
+  const value = frontmatter
+    .match(/^sourcePolicy\s*:\s*["']?([\w-]+)["']?\s*$/m)?.[1]
+    ?.toLowerCase();
+
+  return SOURCE_POLICY_VALUES.find((policy) => policy === value);
+}
+
+export type ProhibitedSourceCount = {
+  sourceClass: string;
+  label: string;
+  count: number;
+};
+
+export type PageSourceCompliance = {
+  prohibited: ProhibitedSourceCount[];
+  prohibitedTotal: number;
+};
+
+/**
+ * Classifies every reference cited by a page's imported fragments and counts
+ * the ones the README source policy does not allow in public content.
+ */
+export async function getPageSourceCompliance(
+  pagePath: string,
+): Promise<PageSourceCompliance> {
+  const files = await getImportedMdxFilesForPage(pagePath);
+  const counts = new Map<SourceClass, number>();
+
+  for (const file of files) {
+    for (const item of extractReferenceItems(file.content)) {
+      const sourceClass = classifyReferenceSource(item);
+      if (!isProhibitedSourceClass(sourceClass)) continue;
+      counts.set(sourceClass, (counts.get(sourceClass) ?? 0) + 1);
+    }
+  }
+
+  const prohibited = Array.from(counts.entries()).map(([sourceClass, count]) => ({
+    sourceClass,
+    label: SOURCE_CLASSES[sourceClass].label,
+    count,
+  }));
+
+  return {
+    prohibited,
+    prohibitedTotal: prohibited.reduce((sum, item) => sum + item.count, 0),
+  };
+}
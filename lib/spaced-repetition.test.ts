@@ -0,0 +1,135 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  formatReviewInterval,
+  isReviewDue,
+  parseReviewStore,
+  recordReview,
+  REVIEW_SCHEDULE_CHANGED_EVENT,
+  REVIEW_STORAGE_KEY,
+  scheduleReview,
+  toReviewDay,
+  type ReviewCardState,
+} from "@/lib/spaced-repetition";
+
+const NOW = new Date(2026, 0, 10, 9, 30);
+
+function card(overrides: Partial<ReviewCardState> = {}): ReviewCardState {
+  return {
+    ease: 2.5,
+    interval: 6,
+    repetitions: 2,
+    lapses: 0,
+    due: "2026-01-10",
+    lastReviewed: "2026-01-04T09:30:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("scheduleReview", () => {
+  it("follows the 1 → 6 → interval × ease progression for good", () => {
+    const first = scheduleReview(undefined, "good", NOW);
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, ease: 2.5, due: "2026-01-11" });
+
+    const second = scheduleReview(first, "good", NOW);
+    expect(second).toMatchObject({ interval: 6, repetitions: 2, due: "2026-01-16" });
+
+    const third = scheduleReview(second, "good", NOW);
+    expect(third).toMatchObject({ interval: 15, repetitions: 3 });
+  });
+
+  it("resets the card to today on again and counts a lapse", () => {
+    const next = scheduleReview(card(), "again", NOW);
+    expect(next).toMatchObject({
+      interval: 0,
+      repetitions: 0,
+      lapses: 1,
+      ease: 2.3,
+      due: "2026-01-10",
+    });
+  });
+
+  it("does not count a lapse for a card that was never recalled", () => {
+    expect(scheduleReview(undefined, "again", NOW).lapses).toBe(0);
+  });
+
+  it("grows the interval slowly on hard and faster on easy", () => {
+    expect(scheduleReview(card(), "hard", NOW)).toMatchObject({ interval: 7, ease: 2.35 });
+    expect(scheduleReview(card(), "easy", NOW)).toMatchObject({ interval: 20, ease: 2.65 });
+  });
+
+  it("never lets the ease drop below 1.3", () => {
+    expect(scheduleReview(card({ ease: 1.35 }), "again", NOW).ease).toBe(1.3);
+  });
+});
+
+describe("isReviewDue", () => {
+  it("is due on and after the due day only", () => {
+    expect(isReviewDue(card({ due: "2026-01-10" }), "2026-01-10")).toBe(true);
+    expect(isReviewDue(card({ due: "2026-01-09" }), "2026-01-10")).toBe(true);
+    expect(isReviewDue(card({ due: "2026-01-11" }), "2026-01-10")).toBe(false);
+    expect(isReviewDue(undefined, "2026-01-10")).toBe(false);
+  });
+});
+
+describe("toReviewDay", () => {
+  it("uses the local calendar day", () => {
+    expect(toReviewDay(new Date(2026, 1, 3, 23, 59))).toBe("2026-02-03");
+  });
+});
+
+describe("formatReviewInterval", () => {
+  it("names days and months", () => {
+    expect(formatReviewInterval(0)).toBe("today");
+    expect(formatReviewInterval(1)).toBe("1 day");
+    expect(formatReviewInterval(12)).toBe("12 days");
+    expect(formatReviewInterval(35)).toBe("1 month");
+    expect(formatReviewInterval(95)).toBe("3 months");
+  });
+});
+
+describe("parseReviewStore", () => {
+  it("keeps valid cards and drops the rest", () => {
+    const raw = JSON.stringify({ valid: card(), broken: { ease: "2.5" } });
+    expect(parseReviewStore(raw)).toEqual({ valid: card() });
+  });
+
+  it("returns an empty store for missing or malformed data", () => {
+    expect(parseReviewStore(null)).toEqual({});
+    expect(parseReviewStore("{not json")).toEqual({});
+    expect(parseReviewStore("42")).toEqual({});
+  });
+});
+
+describe("recordReview", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function stubBrowser(setItem: (key: string, value: string) => void) {
+    const dispatchEvent = vi.fn();
+    vi.stubGlobal("localStorage", { getItem: () => null, setItem });
+    vi.stubGlobal("window", { dispatchEvent });
+    return dispatchEvent;
+  }
+
+  it("saves the card and announces the change", () => {
+    const saved = new Map<string, string>();
+    const dispatchEvent = stubBrowser((key, value) => saved.set(key, value));
+
+    const next = recordReview("card", "good");
+
+    expect(JSON.parse(saved.get(REVIEW_STORAGE_KEY) ?? "{}")).toEqual({ card: next });
+    expect(dispatchEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ type: REVIEW_SCHEDULE_CHANGED_EVENT }),
+    );
+  });
+
+  it("still returns the new state when storage refuses the write", () => {
+    const dispatchEvent = stubBrowser(() => {
+      throw new Error("QuotaExceededError");
+    });
+
+    expect(recordReview("card", "good")).toMatchObject({ interval: 1, repetitions: 1 });
+    expect(dispatchEvent).not.toHaveBeenCalled();
+  });
+});
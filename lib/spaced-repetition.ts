@@ -0,0 +1,164 @@
+import { getActiveRecallCardKey } from "@/lib/active-recall";
+
+export const REVIEW_RATINGS = ["again", "hard", "good", "easy"] as const;
+
+export type ReviewRating = (typeof REVIEW_RATINGS)[number];
+
+export const REVIEW_RATING_LABELS: Record<ReviewRating, string> = {
+  again: "Again",
+  hard: "Hard",
+  good: "Good",
+  easy: "Easy",
+};
+
+export type ReviewCardState = {
+  /** SM-2 easiness factor, never below {@link MIN_EASE}. */
+  ease: number;
+  /** Days until the next review; 0 means the card is due again today. */
+  interval: number;
+  /** Consecutive successful reviews since the last lapse. */
+  repetitions: number;
+  lapses: number;
+  /** Local calendar day the card is next due, as `YYYY-MM-DD`. */
+  due: string;
+  lastReviewed: string;
+};
+
+export type ReviewStore = Record<string, ReviewCardState>;
+
+export const REVIEW_STORAGE_KEY = "__active_recall_schedule";
+export const REVIEW_SCHEDULE_CHANGED_EVENT = "mbbspedia:review-schedule-changed";
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Stable card key from page URL plus normalised question text; see
+ * `lib/active-recall.ts`.
+ */
+export function getReviewCardKey(pageUrl: string, question: string): string {
+  return getActiveRecallCardKey(pageUrl, question);
+}
+
+export function toReviewDay(date: Date = new Date()): string {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function addDays(date: Date, days: number): Date {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * SM-2 with Anki-style ratings: "again" resets the card to today, "hard"
+ * grows the interval slowly, "good" follows the classic 1 → 6 → interval × ease
+ * progression and "easy" adds a bonus on top.
+ */
+export function scheduleReview(
+  previous: ReviewCardState | undefined,
+  rating: ReviewRating,
+  now: Date = new Date(),
+): ReviewCardState {
+  const ease = previous?.ease ?? DEFAULT_EASE;
+  const interval = previous?.interval ?? 0;
+  const repetitions = previous?.repetitions ?? 0;
+  const lapses = previous?.lapses ?? 0;
+
+  let nextEase = ease;
+  let nextInterval: number;
+  let nextRepetitions = repetitions + 1;
+  let nextLapses = lapses;
+
+  if (rating === "again") {
+    nextEase = ease - 0.2;
+    nextInterval = 0;
+    nextRepetitions = 0;
+    nextLapses = repetitions > 0 ? lapses + 1 : lapses;
+  } else if (rating === "hard") {
+    nextEase = ease - 0.15;
+    nextInterval = Math.max(1, Math.round(interval * 1.2));
+  } else {
+    const goodInterval =
+      repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(Math.max(interval, 1) * ease);
+
+    if (rating === "easy") {
+      nextEase = ease + 0.15;
+      nextInterval = Math.round(Math.max(goodInterval, 2) * 1.3);
+    } else {
+      nextInterval = goodInterval;
+    }
+  }
+
+  return {
+    ease: Math.max(MIN_EASE, Number(nextEase.toFixed(2))),
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    lapses: nextLapses,
+    due: toReviewDay(addDays(now, nextInterval)),
+    lastReviewed: now.toISOString(),
+  };
+}
+
+export function isReviewDue(state: ReviewCardState | undefined, today = toReviewDay()): boolean {
+  return state !== undefined && state.due <= today;
+}
+
+export function formatReviewInterval(days: number): string {
+  if (days <= 0) return "today";
+  if (days === 1) return "1 day";
+  if (days < 30) return `${days} days`;
+  const months = Math.round(days / 30);
+  return months === 1 ? "1 month" : `${months} months`;
+}
+
+function isReviewCardState(value: unknown): value is ReviewCardState {
+  if (!value || typeof value !== "object") return false;
+  const record = value as Record<string, unknown>;
+  return (
+    typeof record.ease === "number" &&
+    typeof record.interval === "number" &&
+    typeof record.repetitions === "number" &&
+    typeof record.due === "string"
+  );
+}
+
+export function parseReviewStore(raw: string | null): ReviewStore {
+  if (!raw) return {};
+
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return {};
+
+    return Object.fromEntries(
+      Object.entries(parsed).filter((entry): entry is [string, ReviewCardState] =>
+        isReviewCardState(entry[1]),
+      ),
+    );
+  } catch {
+    return {};
+  }
+}
+
+export function readReviewStore(): ReviewStore {
+  return parseReviewStore(localStorage.getItem(REVIEW_STORAGE_KEY));
+}
+
+export function recordReview(key: string, rating: ReviewRating): ReviewCardState {
+  const store = readReviewStore();
+  const next = scheduleReview(store[key], rating);
+  store[key] = next;
+
+  try {
+    localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    // Storage is full or blocked: the card shows its new state but it is not kept.
+    return next;
+  }
+
+  window.dispatchEvent(new Event(REVIEW_SCHEDULE_CHANGED_EVENT));
+  return next;
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import {
+  CHAT_THREADS_CHANGED_EVENT,
+  getChatThreadStorage,
+  type ChatThreadSummary,
+} from "./chat/thread-storage";
+
+/**
+ * Saved chat threads, most recent first, reloaded whenever a thread changes.
+ * `null` until the first load finishes.
+ */
+export function useChatThreads(): ChatThreadSummary[] | null {
+  const [threads, setThreads] = useState<ChatThreadSummary[] | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    function load() {
+      getChatThreadStorage()
+        .list()
+        .then((list) => {
+          if (!cancelled) setThreads(list);
+        })
+        .catch((error: unknown) => {
+          console.warn("Loading chat threads failed:", error);
+          if (!cancelled) setThreads([]);
+        });
+    }
+
+    load();
+    window.addEventListener(CHAT_THREADS_CHANGED_EVENT, load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(CHAT_THREADS_CHANGED_EVENT, load);
+    };
+  }, []);
+
+  return threads;
+}
@@ -0,0 +1,85 @@
+import { useEffect, useState } from "react";
+import {
+  SEARCH_FACET_KEYS,
+  type SearchFacetCounts,
+  type SearchFacetFilters,
+} from "./search/facets";
+import type { SearchResultWithMatches } from "./search/snippet";
+
+type FacetedSearchResponse = {
+  results: SearchResultWithMatches[];
+  facets: SearchFacetCounts;
+};
+
+type FacetedSearchState = {
+  /** Request the data belongs to, so stale responses are never shown. */
+  requestUrl: string;
+  data: FacetedSearchResponse | null;
+  error: string | null;
+};
+
+/**
+ * Debounced `/api/search?facets=1` client for the search dialog. Unlike
+ * fumadocs' `useDocsSearch`, it sends facet filters and keeps facet counts.
+ */
+export function useFacetedSearch({
+  api,
+  locale,
+  delayMs,
+}: {
+  api: string;
+  locale?: string;
+  delayMs: number;
+}) {
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState<SearchFacetFilters>({});
+  const [state, setState] = useState<FacetedSearchState | null>(null);
+
+  const query = search.trim();
+  const params = new URLSearchParams({ query, facets: "1" });
+  if (locale) params.set("locale", locale);
+  for (const key of SEARCH_FACET_KEYS) {
+    for (const value of filters[key] ?? []) params.append(key, value);
+  }
+  const requestUrl = `${api}?${params}`;
+
+  useEffect(() => {
+    if (!query) return;
+
+    const controller = new AbortController();
+    const timer = window.setTimeout(() => {
+      fetch(requestUrl, { signal: controller.signal })
+        .then(async (response) => {
+          if (!response.ok) throw new Error(await response.text());
+          return (await response.json()) as FacetedSearchResponse;
+        })
+        .then((data) => setState({ requestUrl, data, error: null }))
+        .catch((fetchError: unknown) => {
+          if (controller.signal.aborted) return;
+          setState({
+            requestUrl,
+            data: null,
+            error: fetchError instanceof Error ? fetchError.message : String(fetchError),
+          });
+        });
+    }, delayMs);
+
+    return () => {
+      window.clearTimeout(timer);
+      controller.abort();
+    };
+  }, [delayMs, query, requestUrl]);
+
+  const isCurrent = query.length > 0 && state?.requestUrl === requestUrl;
+
+  return {
+    search,
+    setSearch,
+    filters,
+    setFilters,
+    // Keep the previous results and chips on screen while the next request runs.
+    data: query ? (state?.data ?? null) : null,
+    error: isCurrent ? (state?.error ?? null) : null,
+    isLoading: query.length > 0 && !isCurrent,
+  };
+}
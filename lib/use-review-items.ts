@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import type { ReviewItem } from "./active-recall-items";
+
+/**
+ * Loads the static review item list (see `app/review-items.json`) on mount.
+ */
+export function useReviewItems(itemsUrl: string) {
+  const [items, setItems] = useState<ReviewItem[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(itemsUrl)
+      .then(async (response) => {
+        if (!response.ok) throw new Error(`Failed to load review items (${response.status})`);
+        return (await response.json()) as ReviewItem[];
+      })
+      .then((loaded) => {
+        if (!cancelled) setItems(loaded);
+      })
+      .catch((loadError: unknown) => {
+        if (!cancelled) {
+          setError(loadError instanceof Error ? loadError.message : String(loadError));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [itemsUrl]);
+
+  return { items, error };
+}
+
+export function shuffle<T>(values: T[]): T[] {
+  const result = [...values];
+  for (let index = result.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(Math.random() * (index + 1));
+    [result[index], result[swap]] = [result[swap], result[index]];
+  }
+  return result;
+}
@@ -0,0 +1,42 @@
+import { useSyncExternalStore } from "react";
+import {
+  parseReviewStore,
+  REVIEW_SCHEDULE_CHANGED_EVENT,
+  REVIEW_STORAGE_KEY,
+  type ReviewStore,
+} from "./spaced-repetition";
+
+const EMPTY_STORE: ReviewStore = {};
+let cachedRaw: string | null = null;
+let cachedStore: ReviewStore = EMPTY_STORE;
+
+function subscribe(onChange: () => void) {
+  const onStorage = (event: StorageEvent) => {
+    if (event.key === REVIEW_STORAGE_KEY) onChange();
+  };
+
+  window.addEventListener(REVIEW_SCHEDULE_CHANGED_EVENT, onChange);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(REVIEW_SCHEDULE_CHANGED_EVENT, onChange);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+function getSnapshot(): ReviewStore {
+  const raw = localStorage.getItem(REVIEW_STORAGE_KEY);
+  if (raw !== cachedRaw) {
+    cachedRaw = raw;
+    cachedStore = parseReviewStore(raw);
+  }
+
+  return cachedStore;
+}
+
+/**
+ * The browser-stored review schedule, kept in sync across quizzes and tabs.
+ * Empty during server rendering.
+ */
+export function useReviewSchedule(): ReviewStore {
+  return useSyncExternalStore(subscribe, getSnapshot, () => EMPTY_STORE);
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import type { SearchSuggestion } from "./search/suggest";
+
+type SuggestionState = {
+  query: string;
+  suggestions: SearchSuggestion[];
+};
+
+/**
+ * Title suggestions from `/api/search/suggest`, fetched on every keystroke
+ * without a debounce; the endpoint only scans titles, so it answers before
+ * full search does.
+ */
+export function useSearchSuggestions({ api, search }: { api: string; search: string }) {
+  const [state, setState] = useState<SuggestionState | null>(null);
+  const query = search.trim();
+
+  useEffect(() => {
+    if (!query) return;
+
+    const controller = new AbortController();
+    fetch(`${api}?${new URLSearchParams({ query })}`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) throw new Error(await response.text());
+        return (await response.json()) as SearchSuggestion[];
+      })
+      .then((suggestions) => setState({ query, suggestions }))
+      .catch((error: unknown) => {
+        if (controller.signal.aborted) return;
+        // Suggestions are a shortcut; full search still answers on failure.
+        console.warn("Search suggestions failed:", error);
+        setState({ query, suggestions: [] });
+      });
+
+    return () => controller.abort();
+  }, [api, query]);
+
+  // Keep the previous suggestions while the next keystroke's request runs.
+  return query ? (state?.suggestions ?? []) : [];
+}
@@ -7,6 +7,7 @@ import { Cite, References } from "./components/mdx/citations";
 import { ImageZoom } from "./components/image-zoom";
 import { DiagramCard, DiagramGallery } from "./components/mdx/diagram-card";
 import { FragmentDropdownSection } from "./components/mdx/fragment-dropdown-section";
+import { DeepLinkTabs } from "./components/mdx/deep-link-tabs";
 
 export function getMDXComponents(components?: MDXComponents): MDXComponents {
   return {
@@ -21,6 +22,7 @@ export function getMDXComponents(components?: MDXComponents): MDXComponents {
     DiagramCard,
     DiagramGallery,
     ...TabsComponents,
+    Tabs: DeepLinkTabs,
     ...components,
   };
 }
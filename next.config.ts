@@ -1,8 +1,16 @@
+import path from "node:path";
 import { createMDX } from "fumadocs-mdx/next";
+import { CONTENT_DIR, computeContentVersion } from "./lib/search/content-version";
+
+// Hashed once here rather than per request; set by the environment, it is kept.
+process.env.CONTENT_VERSION ||= computeContentVersion(path.resolve(process.cwd(), CONTENT_DIR));
 
 /** @type {import('next').NextConfig} */
 const config = {
   reactStrictMode: true,
+  env: {
+    CONTENT_VERSION: process.env.CONTENT_VERSION,
+  },
   async rewrites() {
     return [
       {
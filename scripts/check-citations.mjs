@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import remarkMdx from "remark-mdx";
+import {
+  collectCitationIssues,
+  formatCitationIssue,
+} from "../lib/mdx/citation-integrity";
+
+const DEFAULT_CONTENT_DIRS = ["content/fragments", "content/docs"];
+
+function printUsage() {
+  console.log(`Usage:
+  npm run check:citations -- [options] [paths...]
+
+Checks inline [n] citations against each file's "## References" section and
+prints file:line:column for dangling citations, unused references, duplicate
+reference numbers and References sections that are not [n] lists.
+
+Options:
+  --strict        Exit with code 1 when any error-level issue is found
+  --errors-only   Hide warning-level issues (unused references)
+  --help          Show this help
+
+Paths default to: ${DEFAULT_CONTENT_DIRS.join(", ")}
+`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    strict: false,
+    errorsOnly: false,
+    help: false,
+    paths: [],
+  };
+
+  for (const arg of argv) {
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--strict") {
+      options.strict = true;
+      continue;
+    }
+
+    if (arg === "--errors-only") {
+      options.errorsOnly = true;
+      continue;
+    }
+
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    options.paths.push(arg);
+  }
+
+  if (options.paths.length === 0) {
+    options.paths = DEFAULT_CONTENT_DIRS.slice();
+  }
+
+  return options;
+}
+
+async function listMdxFiles(targetPath) {
+  const absolutePath = path.resolve(process.cwd(), targetPath);
+  if (/\.mdx?$/i.test(absolutePath)) {
+    return [absolutePath];
+  }
+
+  const entries = await readdir(absolutePath, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile() && /\.mdx?$/i.test(entry.name))
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const processor = remark().use(remarkMdx).use(remarkGfm).use(remarkMath);
+  const files = (await Promise.all(options.paths.map(listMdxFiles))).flat();
+  const report = { files: files.length, filesWithIssues: 0, errors: 0, warnings: 0 };
+
+  for (const filePath of files) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const raw = await readFile(filePath, "utf8");
+
+    let tree;
+    try {
+      tree = processor.parse(raw);
+    } catch (error) {
+      report.filesWithIssues += 1;
+      report.errors += 1;
+      console.log(
+        `${relativePath}:1:1 error parse-failed ${error instanceof Error ? error.message : error}`,
+      );
+      continue;
+    }
+
+    const issues = collectCitationIssues(tree).filter(
+      (issue) => !options.errorsOnly || issue.severity === "error",
+    );
+    if (issues.length === 0) continue;
+
+    report.filesWithIssues += 1;
+    for (const issue of issues) {
+      if (issue.severity === "error") report.errors += 1;
+      else report.warnings += 1;
+      console.log(formatCitationIssue(relativePath, issue));
+    }
+  }
+
+  console.log("[Citations] Completed");
+  console.log(`  Files checked: ${report.files}`);
+  console.log(`  Files with issues: ${report.filesWithIssues}`);
+  console.log(`  Errors: ${report.errors}`);
+  console.log(`  Warnings: ${report.warnings}`);
+
+  if (options.strict && report.errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
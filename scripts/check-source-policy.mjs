@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { DOCS_DIR, listDocsPageFiles, toPageUrl } from "./lib/docs-pages.mjs";
+import { getImportedMdxFilesForPage } from "../lib/mdx-imports";
+import {
+  SOURCE_CLASSES,
+  classifyReferenceSource,
+  isProhibitedSourceClass,
+  readSourcePolicy,
+} from "../lib/source-policy";
+import { extractReferenceLines } from "../lib/page-citations";
+
+function printUsage() {
+  console.log(`Usage:
+  npm run check:sources -- [options]
+
+Lists every page under ${DOCS_DIR} whose references (including imported
+fragments) cite source classes the README compliance policy prohibits in
+public content: ${Object.entries(SOURCE_CLASSES)
+    .filter(([, value]) => value.prohibited)
+    .map(([key]) => key)
+    .join(", ")}.
+
+Options:
+  --strict              Exit 1 when a page cites prohibited sources without
+                        "sourcePolicy: restricted-derived" in its frontmatter
+  --fail-on-restricted  Exit 1 when any page cites prohibited sources
+  --verbose             Print each offending reference with file:line
+  --help                Show this help
+`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    strict: false,
+    failOnRestricted: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (const arg of argv) {
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--strict") {
+      options.strict = true;
+    } else if (arg === "--fail-on-restricted") {
+      options.failOnRestricted = true;
+    } else if (arg === "--verbose") {
+      options.verbose = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const docsDir = path.resolve(process.cwd(), DOCS_DIR);
+  const pagePaths = await listDocsPageFiles(docsDir);
+
+  const report = { pages: pagePaths.length, flagged: 0, unmarked: 0 };
+
+  for (const pagePath of pagePaths) {
+    const raw = await readFile(pagePath, "utf8");
+    const sourcePolicy = readSourcePolicy(raw);
+    const files = [
+      { path: pagePath, content: raw },
+      ...(await getImportedMdxFilesForPage(path.relative(docsDir, pagePath))),
+    ];
+    const counts = new Map();
+    const offending = [];
+
+    for (const file of files) {
+      for (const { line, item } of extractReferenceLines(file.content)) {
+        const sourceClass = classifyReferenceSource(item);
+        if (!isProhibitedSourceClass(sourceClass)) continue;
+
+        counts.set(sourceClass, (counts.get(sourceClass) ?? 0) + 1);
+        offending.push({ file: file.path, line, sourceClass, item });
+      }
+    }
+
+    if (offending.length === 0) continue;
+
+    const marked = sourcePolicy === "restricted-derived";
+    report.flagged += 1;
+    if (!marked) report.unmarked += 1;
+
+    const relativePage = path.relative(process.cwd(), pagePath);
+    const summary = Array.from(counts.entries())
+      .map(([sourceClass, count]) => `${sourceClass}: ${count}`)
+      .join(", ");
+    console.log(
+      `${relativePage} (${toPageUrl(path.relative(docsDir, pagePath))}) ${marked ? "[restricted-derived]" : "[unmarked]"} ${summary}`,
+    );
+
+    if (options.verbose) {
+      for (const entry of offending) {
+        console.log(
+          `  ${path.relative(process.cwd(), entry.file)}:${entry.line} ${entry.sourceClass} [${entry.item.n}] ${entry.item.source}`,
+        );
+      }
+    }
+  }
+
+  console.log("[Sources] Completed");
+  console.log(`  Pages checked: ${report.pages}`);
+  console.log(`  Pages citing prohibited sources: ${report.flagged}`);
+  console.log(`  ...of which not marked restricted-derived: ${report.unmarked}`);
+
+  if (
+    (options.failOnRestricted && report.flagged > 0) ||
+    (options.strict && report.unmarked > 0)
+  ) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
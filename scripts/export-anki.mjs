@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { buildAnkiNotes, formatAnkiTsv } from "../lib/anki-export";
+import { getDocsFolderTitle } from "../lib/docs-folders";
+import { getImportedMdxFilesForPage } from "../lib/mdx-imports";
+import {
+  DOCS_DIR,
+  listDocsPageFiles,
+  readFrontmatterTitle,
+  toPageUrl,
+} from "./lib/docs-pages.mjs";
+
+const DEFAULT_OUT_DIR = ".cache/anki";
+
+function printUsage() {
+  console.log(`Usage:
+  npm run export:anki -- [options]
+
+Exports ActiveRecallQuiz items as an Anki text import file (File > Import).
+Notes get specialty/topic/section tags, the fragment's references on the back
+and stable GUIDs, so re-importing updates existing notes.
+
+Options:
+  --page <url>          Export one page, e.g. /general-surgery/hbp/acute-cholangitis
+  --specialty <folder>  Export one specialty, e.g. general-surgery
+  --out <file>          Output file (default: ${DEFAULT_OUT_DIR}/mbbspedia-<scope>.txt)
+  --site-url <url>      Link each card back to the page on this site
+  --help                Show this help
+
+Without --page or --specialty the whole site is exported.
+`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    page: undefined,
+    specialty: undefined,
+    out: undefined,
+    siteUrl: undefined,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--page" || arg === "--specialty" || arg === "--out" || arg === "--site-url") {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) throw new Error(`Missing value for ${arg}`);
+
+      const key = arg === "--site-url" ? "siteUrl" : arg.slice(2);
+      options[key] = value;
+      i += 1;
+      continue;
+    }
+
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (options.page && options.specialty) {
+    throw new Error("Use either --page or --specialty, not both.");
+  }
+
+  return options;
+}
+
+function normalizePageUrl(value) {
+  const url = `/${value.replace(/^https?:\/\/[^/]+/i, "").replace(/^\/+|\/+$/g, "")}`;
+  return url.replace(/\.mdx?$/i, "");
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const docsDir = path.resolve(process.cwd(), DOCS_DIR);
+  const targetUrl = options.page ? normalizePageUrl(options.page) : undefined;
+  const pages = [];
+
+  for (const pagePath of await listDocsPageFiles(docsDir)) {
+    const relativePath = path.relative(docsDir, pagePath);
+    const url = toPageUrl(relativePath);
+    const specialty = relativePath.split(path.sep)[0];
+
+    if (targetUrl && url !== targetUrl) continue;
+    if (options.specialty && specialty !== options.specialty) continue;
+
+    pages.push({
+      url,
+      title:
+        readFrontmatterTitle(await readFile(pagePath, "utf8")) ??
+        path.basename(pagePath, path.extname(pagePath)),
+      specialtyLabel: await getDocsFolderTitle(specialty),
+      files: await getImportedMdxFilesForPage(relativePath),
+    });
+  }
+
+  if (pages.length === 0) {
+    throw new Error(
+      targetUrl
+        ? `No page found for ${targetUrl}`
+        : `No pages found for specialty "${options.specialty}"`,
+    );
+  }
+
+  const notes = buildAnkiNotes(pages, { siteUrl: options.siteUrl });
+  const scope = targetUrl
+    ? targetUrl.slice(1).replace(/\//g, "-") || "index"
+    : options.specialty ?? "all";
+  const outPath = path.resolve(
+    process.cwd(),
+    options.out ?? path.join(DEFAULT_OUT_DIR, `mbbspedia-${scope}.txt`),
+  );
+
+  await mkdir(path.dirname(outPath), { recursive: true });
+  await writeFile(outPath, formatAnkiTsv(notes), "utf8");
+
+  console.log("[Anki] Completed");
+  console.log(`  Pages: ${pages.length}`);
+  console.log(`  Notes: ${notes.length}`);
+  console.log(`  Output: ${path.relative(process.cwd(), outPath)}`);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
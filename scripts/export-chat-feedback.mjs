@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { DEFAULT_CHAT_FEEDBACK_FILE, toRotatedFeedbackPath } from "../lib/chat/feedback";
+import {
+  formatChatFeedbackMarkdown,
+  isFlaggedFeedback,
+  latestFeedbackPerAnswer,
+  readChatFeedback,
+} from "../lib/chat/feedback-export";
+
+const DEFAULT_OUT_DIR = ".cache/feedback";
+
+function printUsage() {
+  console.log(`Usage:
+  npm run export:feedback -- [options]
+
+Exports chat answers readers flagged through /api/chat/feedback for content
+review: thumbs down, or any answer with a "what's wrong" comment. Each entry
+lists the question, answer, citation map and retrieved chunk IDs.
+
+Options:
+  --file <path>     Feedback file, read with its rotated <path>.1
+                    (default: ${DEFAULT_CHAT_FEEDBACK_FILE})
+  --since <when>    Only feedback after a date (2026-01-31) or age (7d)
+  --all             Include thumbs up without a comment
+  --json            Write JSON Lines instead of Markdown
+  --out <file>      Output file (default: ${DEFAULT_OUT_DIR}/flagged-answers.md or .jsonl)
+  --help            Show this help
+`);
+}
+
+function parseSince(value) {
+  const age = /^(\d+)d$/.exec(value);
+  const time = age ? Date.now() - Number(age[1]) * 86_400_000 : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`--since expects a date or an age such as 7d, got "${value}"`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseArgs(argv) {
+  const options = {
+    file: DEFAULT_CHAT_FEEDBACK_FILE,
+    since: undefined,
+    all: false,
+    json: false,
+    out: undefined,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--all" || arg === "--json") {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+
+    if (arg === "--file" || arg === "--since" || arg === "--out") {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) throw new Error(`Missing value for ${arg}`);
+
+      options[arg.slice(2)] = arg === "--since" ? parseSince(value) : value;
+      i += 1;
+      continue;
+    }
+
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const filePath = path.resolve(process.cwd(), options.file);
+  // Older entries sit in the rotated file once the feedback file fills up.
+  const rotated = await readChatFeedback(toRotatedFeedbackPath(filePath));
+  const current = await readChatFeedback(filePath);
+  const entries = [...rotated.entries, ...current.entries];
+  const skipped = rotated.skipped + current.skipped;
+  const selected = latestFeedbackPerAnswer(entries).filter(
+    (entry) =>
+      (!options.since || entry.at >= options.since) && (options.all || isFlaggedFeedback(entry)),
+  );
+
+  const outPath = path.resolve(
+    process.cwd(),
+    options.out ??
+      path.join(DEFAULT_OUT_DIR, `flagged-answers.${options.json ? "jsonl" : "md"}`),
+  );
+  const output = options.json
+    ? selected.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    : formatChatFeedbackMarkdown(selected);
+
+  await mkdir(path.dirname(outPath), { recursive: true });
+  await writeFile(outPath, output, "utf8");
+
+  console.log("[Chat feedback] Completed");
+  console.log(`  File: ${path.relative(process.cwd(), filePath)}`);
+  console.log(`  Answers with feedback: ${latestFeedbackPerAnswer(entries).length}`);
+  console.log(`  Exported: ${selected.length}`);
+  console.log(`  Output: ${path.relative(process.cwd(), outPath)}`);
+  if (skipped > 0) console.log(`  Malformed lines skipped: ${skipped}`);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -20,21 +20,21 @@ import {
   buildTopicTerms as buildTopicTermsShared,
   lexicalScore as lexicalScoreShared,
   previewText as previewTextShared,
-} from "./lib/rag-chunking.mjs";
+} from "../lib/rag/chunking";
 import {
   absFromCache,
   readJsonIfExists,
   readManifest,
   resolveCachePaths,
-} from "./lib/rag-cache.mjs";
-import { DEFAULT_EMBEDDING_MODEL, embedSingleValue } from "./lib/rag-embed.mjs";
+} from "../lib/rag/cache";
+import { DEFAULT_EMBEDDING_MODEL, embedSingleValue } from "../lib/rag/embed";
 import {
   assembleSectionContext,
   buildSectionQuery,
   mergeSourceBalanced,
   rankChunksHybrid,
   rankSlideFilesByHybrid,
-} from "./lib/rag-retrieval.mjs";
+} from "../lib/rag/retrieval";
 
 const execFileAsync = promisify(execFile);
 
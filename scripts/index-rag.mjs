@@ -12,7 +12,7 @@ import {
   CHUNKING_VERSION,
   buildChunksFromText,
   splitLongSection,
-} from "./lib/rag-chunking.mjs";
+} from "../lib/rag/chunking";
 import {
   absFromCache,
   ensureDir,
@@ -23,12 +23,12 @@ import {
   resolveCachePaths,
   writeJsonAtomic,
   writeManifest,
-} from "./lib/rag-cache.mjs";
+} from "../lib/rag/cache";
 import {
   DEFAULT_EMBEDDING_MODEL,
   embedSingleValue,
   embedValues,
-} from "./lib/rag-embed.mjs";
+} from "../lib/rag/embed";
 
 const execFileAsync = promisify(execFile);
 
@@ -0,0 +1,30 @@
+import { readdir } from "node:fs/promises";
+import path from "node:path";
+
+export const DOCS_DIR = "content/docs";
+
+/**
+ * Site URL for a file path relative to `content/docs`, matching the Fumadocs
+ * loader's `baseUrl: "/"`.
+ */
+export function toPageUrl(docsRelativePath) {
+  const stem = docsRelativePath.replace(/\\/g, "/").replace(/\.mdx?$/i, "");
+  if (stem === "index") return "/";
+  return `/${stem.replace(/\/index$/, "")}`;
+}
+
+export function readFrontmatterTitle(rawMdx) {
+  const frontmatter = String(rawMdx ?? "").match(/^---\r?\n([\s\S]*?)\r?\n---/)?.[1] ?? "";
+  return frontmatter.match(/^title\s*:\s*["']?(.+?)["']?\s*$/m)?.[1];
+}
+
+/**
+ * Every page file under the docs directory, sorted by path.
+ */
+export async function listDocsPageFiles(docsDir) {
+  const entries = await readdir(docsDir, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile() && /\.mdx?$/i.test(entry.name))
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort((a, b) => a.localeCompare(b));
+}
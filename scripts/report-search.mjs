@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+import path from "node:path";
+import process from "node:process";
+import { DEFAULT_SEARCH_EVENTS_FILE } from "../lib/search/analytics";
+import { readSearchEvents, summarizeSearchEvents } from "../lib/search/analytics-report";
+
+function printUsage() {
+  console.log(`Usage:
+  npm run report:search -- [options]
+
+Summarises the anonymised query events written by /api/search and /api/chat:
+the most frequent queries, queries that never returned a result (topics to
+write next) and the slowest queries.
+
+Options:
+  --file <path>     Event file (default: ${DEFAULT_SEARCH_EVENTS_FILE})
+  --kind <kind>     Only "search" or "chat" events
+  --since <when>    Only events after a date (2026-01-31) or age (7d)
+  --limit <n>       Rows per list (default: 20)
+  --slow-ms <ms>    Latency from which a query counts as slow (default: 1500)
+  --json            Print the summary as JSON
+  --help            Show this help
+`);
+}
+
+function parsePositiveInteger(arg, value) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`${arg} expects a positive integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+function parseSince(value) {
+  const age = /^(\d+)d$/.exec(value);
+  const time = age ? Date.now() - Number(age[1]) * 86_400_000 : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`--since expects a date or an age such as 7d, got "${value}"`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseArgs(argv) {
+  const options = {
+    file: DEFAULT_SEARCH_EVENTS_FILE,
+    kind: undefined,
+    since: undefined,
+    limit: 20,
+    slowMs: 1500,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (["--file", "--kind", "--since", "--limit", "--slow-ms"].includes(arg)) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) throw new Error(`Missing value for ${arg}`);
+
+      if (arg === "--file") options.file = value;
+      if (arg === "--kind") {
+        if (value !== "search" && value !== "chat") {
+          throw new Error(`--kind expects "search" or "chat", got "${value}"`);
+        }
+        options.kind = value;
+      }
+      if (arg === "--since") options.since = parseSince(value);
+      if (arg === "--limit") options.limit = parsePositiveInteger(arg, value);
+      if (arg === "--slow-ms") options.slowMs = parsePositiveInteger(arg, value);
+      i += 1;
+      continue;
+    }
+
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+function printTable(title, rows, formatRow) {
+  console.log(`\n${title}`);
+  if (rows.length === 0) {
+    console.log("  (none)");
+    return;
+  }
+
+  for (const row of rows) {
+    console.log(`  ${formatRow(row)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const filePath = path.resolve(process.cwd(), options.file);
+  const { events, skipped } = await readSearchEvents(filePath);
+  const selected = events.filter(
+    (event) =>
+      (!options.kind || event.kind === options.kind) &&
+      (!options.since || event.at >= options.since),
+  );
+  const summary = summarizeSearchEvents(selected, {
+    limit: options.limit,
+    slowMs: options.slowMs,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  printTable(
+    "Top queries",
+    summary.topQueries,
+    (row) =>
+      `${String(row.count).padStart(5)}  ${row.query}  (avg ${row.averageLatencyMs} ms${row.topUrl ? `, top ${row.topUrl}` : ""})`,
+  );
+  printTable(
+    "Zero-result queries",
+    summary.zeroResultQueries,
+    (row) => `${String(row.count).padStart(5)}  ${row.query}  (last ${row.lastSeen.slice(0, 10)})`,
+  );
+  printTable(
+    `Slow queries (>= ${options.slowMs} ms)`,
+    summary.slowQueries,
+    (row) =>
+      `${String(row.latencyMs).padStart(6)} ms  ${row.query}  (${row.kind}${row.provider ? `, ${row.provider}` : ""}, ${row.at.slice(0, 10)})`,
+  );
+
+  console.log("\n[Search report] Completed");
+  console.log(`  File: ${path.relative(process.cwd(), filePath)}`);
+  console.log(`  Events: ${summary.events} of ${events.length}`);
+  console.log(`  Typing prefixes ignored: ${summary.typingPrefixes}`);
+  console.log(`  Unique queries: ${summary.uniqueQueries}`);
+  console.log(`  Zero-result events: ${summary.zeroResultEvents}`);
+  if (skipped > 0) console.log(`  Malformed lines skipped: ${skipped}`);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -1,6 +1,8 @@
 import { remarkMdxMermaid } from "fumadocs-core/mdx-plugins";
-import { defineDocs, defineConfig } from "fumadocs-mdx/config";
+import { defineDocs, defineConfig, frontmatterSchema } from "fumadocs-mdx/config";
+import { z } from "zod";
 import { remarkCitations } from "./lib/mdx/remark-citations";
+import { remarkCitationIntegrity } from "./lib/mdx/remark-citation-integrity";
 import { remarkFragmentDropdownSections } from "./lib/mdx/remark-fragment-dropdown-sections";
 import remarkMath from "remark-math";
 import rehypeKatex from "rehype-katex";
@@ -8,6 +10,12 @@ import rehypeKatex from "rehype-katex";
 export const docs = defineDocs({
   dir: "content/docs",
   docs: {
+    schema: frontmatterSchema.extend({
+      // "unified" merges every fragment's References into one page-wide list.
+      citations: z.enum(["scoped", "unified"]).default("scoped"),
+      // See "Source and Compliance Policy" in README.md.
+      sourcePolicy: z.enum(["public", "restricted-derived"]).optional(),
+    }),
     postprocess: {
       includeProcessedMarkdown: true,
     },
@@ -19,6 +27,7 @@ export default defineConfig({
     remarkPlugins: [
       remarkMath,
       remarkMdxMermaid,
+      remarkCitationIntegrity,
       remarkCitations,
       remarkFragmentDropdownSections,
     ],
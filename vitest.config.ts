@@ -0,0 +1,12 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    // Same `@/` paths as tsconfig.json; scoped packages such as `@ai-sdk/*` are left alone.
+    alias: [{ find: /^@\//, replacement: fileURLToPath(new URL("./", import.meta.url)) }],
+  },
+  test: {
+    include: ["lib/**/*.test.ts"],
+  },
+});